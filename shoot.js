@@ -1,15 +1,17 @@
 // shoot.js
-// Chromium-only screenshot runner with:
+// Playwright screenshot runner (Chromium by default, optionally WebKit + Firefox) with:
 //
 // ✅ Mode presets: --mode=1 (fast) / --mode=2 (slow)
 // ✅ Sitemap batching: give a domain OR --sitemap, it will crawl /sitemap.xml and run all URLs
-// ✅ Adaptive stabilisation: quick stability check, fallback to sweep (no spot images saved)
-// ✅ Saves ONLY full-page screenshots: mobile.png + desktop.png per page
+// ✅ Readiness engine instead of networkidle, with a sweep fallback
+// ✅ Saves ONLY full-page screenshots: one <viewport>.png per page (default desktop + mobile)
 // ✅ Noise blocking (analytics + IG mp4) to speed up / reduce churn
+// ✅ Per-site profiles from shoot.config.js/json (--profile=name)
+// ✅ HTTP status, redirects, page metadata and performance metrics per capture
 // ✅ Folder structure:
-//    runs/<domain>/<runTimestamp>/<pageName>/mobile.png
-//    runs/<domain>/<runTimestamp>/<pageName>/desktop.png
+//    runs/<domain>/<runTimestamp>/<pageName>/<viewport>.png
 //    runs/<domain>/<runTimestamp>/logs/<pageName>__<viewport>__*.{txt,json}
+//    runs/<domain>/<runTimestamp>/manifest.json + report.json + junit.xml
 //
 // Requirements: Node 18+ (global fetch) + Playwright installed
 //
@@ -23,34 +25,249 @@
 //   --exclude="/account"     (substring filter)
 //   --limit=50               (cap URLs)
 //   --same-host-only         (keep only same hostname as sitemap domain)
+//   --since=2025-06-01       (only entries with <lastmod> on/after this date)
+//   --hreflang[=fr,de-de]    (also queue hreflang alternates)
+//   --crawl --max-depth=2 --max-pages=200 [--ignore-robots]   (no sitemap: follow same-host links)
 //
 // Optional overrides:
 //   --wait-for-selector=".hero" --wait-timeout=20000
+//   --ready-timeout=15000 --ready-quiet=500 --fast-stabilize=4000
+//   --ready-signal            (wait for window.__ready === true, or --ready-signal="<js expression>")
 //   --no-block-noise          (disable request blocking)
+//   --block="hotjar.com,**/beacon*,re:\.mp4$"     (substring, glob or re:regex)
+//   --block-presets=ga,hotjar,meta,tiktok,chat
+//   --block-types=media,font,websocket
+//
+// Config profiles (see CONFIG FILE section):
+//   --profile=client-x [--config=path]      (CLI flags override the profile; --no-<flag> turns one off)
+//
+// Auth / stateful capture (see AUTH section):
+//   --http-credentials="user:pass" --headers='{"x-preview-token":"abc"}'
+//   --cookies=cookies.json --storage-state=state.json --login-script=login.js
+//
+// Reproducible screenshots:
+//   --mask=".countdown" [--mask-color=#FF00FF] --hide="#chat-widget" --inject-css="styles.css"
+//   --disable-animations --pause-videos --freeze-time[=2025-01-01T12:00:00Z] --freeze-random
+//   --deterministic            (all of the freezing options above)
+//
+// Checks:
+//   --check-links [--link-concurrency=8 --link-timeout=10000]   (→ broken-links.csv)
+//   --a11y [--a11y-tags=wcag2a,wcag2aa]                          (axe-core)
+//
+// Image output:
+//   --format=png|jpeg|webp|avif [--quality=80] --max-height=16000 --thumbnails --pdf-quality=80
+//   --stitch=auto|always|off [--stitch-threshold=16000] [--stitch-keep-fixed]
+//   --elements="header=header;card=.product-card" --above-the-fold --clip="0,0,1280,600"
+//   --interactions=steps.json  (see INTERACTIONS section)
+//
+// Review outputs:
+//   --pdf [--pdf-name=review-pack.pdf]      (A4 review pack)
+//   --html [--html-name=index.html]         (offline gallery)
+//   --pdf-only / --html-only --run-dir="runs/domain/<ts>"   (rebuild from an existing run)
+//
+// Page folder names:
+//   --name-include-query      (query string is part of the name)
+//   --page-names=slug         (old path-only names)
+//
+// Resume / retry:
+//   --resume --run-dir="runs/domain/<ts>"   (continue a run from its manifest.json)
+//   --retry=2 --retry-backoff=2000          (retry page.goto failures with exponential backoff)
+//
+// HAR record / offline replay:
+//   --record-har  |  --replay-har="runs/domain/<ts>"
+//
+// Parallel capture:
+//   --concurrency=4 --parallel-viewports
+//
+// Viewports / emulation / browsers:
+//   --viewports="mobile,small-laptop:1366x768,retina:1440x900@2,iPad Pro 11"
+//   --color-scheme=dark --reduced-motion --forced-colors --locale=de-DE --timezone=Europe/Berlin
+//   --geolocation=52.52,13.40 --media=print --throttle=slow-3g|fast-3g
+//   --variants='{"dark":{"colorScheme":"dark"}}'   (see EMULATION section)
+//   --browsers=chromium,webkit,firefox
+//
+// Visual diff / CI:
+//   --compare-to="runs/domain/<oldTs>" --diff-threshold=0.5 --diff-tolerance=24
+//   --fail-on=nav,http,stability,console-errors,request-failures,broken-links,diff   (exit code 2)
 
-const { chromium } = require("playwright");
+const { chromium, firefox, webkit, devices, request: apiRequest } = require("playwright");
 const { PDFDocument, StandardFonts, rgb } = require("pdf-lib");
 const sharp = require("sharp");
 const fs = require("fs");
 const path = require("path");
+const zlib = require("zlib");
+const crypto = require("crypto");
 const { URL } = require("url");
 const pagesByDomain = new Map();
 
 const args = process.argv.slice(2);
-const pdfEnabled = hasFlag("pdf");
-const pdfOnly = hasFlag("pdf-only");
-const pdfNameArg = getArg("pdf-name") || "review-pack.pdf";
-const runDirArg = getArg("run-dir");
 
 /* -------------------------
-   ARG HELPERS
+   ARG HELPERS (CLI first, then config profile)
 -------------------------- */
-function getArg(name) {
+function cliArg(name) {
   const a = args.find((x) => x.startsWith(`--${name}=`));
   return a ? a.split("=").slice(1).join("=") : null;
 }
+function getArg(name) {
+  const cli = cliArg(name);
+  if (cli !== null) return cli;
+  if (isNegated(name)) return null;
+
+  const value = getProfileValue(name);
+  if (value === undefined || value === null || value === false) return null;
+  if (Array.isArray(value) && value.every((v) => typeof v === "string")) return value.join(",");
+  if (typeof value === "object") return value; // structured values (e.g. viewport objects)
+  return String(value);
+}
+// --no-x on the CLI turns off a profile's x: true (and --x a profile's "no-x" default)
+function isNegated(flag) {
+  return args.includes(`--${flag.startsWith("no-") ? flag.slice(3) : `no-${flag}`}`);
+}
 function hasFlag(flag) {
-  return args.includes(`--${flag}`);
+  if (args.includes(`--${flag}`)) return true;
+  if (isNegated(flag)) return false;
+  if (getProfileValue(flag) === true) return true;
+  // "--no-x" flags map to `x: false` in a profile
+  return flag.startsWith("no-") && getProfileValue(flag.slice(3)) === false;
+}
+// Booleans with a default from MODE_PRESETS or --deterministic: CLI, then profile (true or false), then the default
+function flagOr(flag, fallback) {
+  if (args.includes(`--${flag}`)) return true;
+  if (isNegated(flag) || getProfileValue(flag) === false) return false;
+  return getProfileValue(flag) === true || Boolean(fallback);
+}
+
+/* -------------------------
+   CONFIG FILE + PROFILES
+   shoot.config.js / shoot.config.json (or --config=path):
+     module.exports = {
+       defaults: { mode: 1 },
+       profiles: {
+         "client-x": { sitemap: "https://x.com/sitemap.xml", exclude: "/account", viewports: ["mobile", "tablet"], pdf: true },
+       },
+     };
+   Keys are flag names (camelCase or kebab-case). Profile values override
+   defaults and MODE_PRESETS; CLI flags override both.
+-------------------------- */
+const CONFIG_FILENAMES = ["shoot.config.js", "shoot.config.json"];
+
+function toCamel(name) {
+  return name.replace(/-([a-z0-9])/g, (_, c) => c.toUpperCase());
+}
+
+function getProfileValue(name) {
+  if (!profileOptions) return undefined;
+  if (Object.prototype.hasOwnProperty.call(profileOptions, name)) return profileOptions[name];
+  return profileOptions[toCamel(name)];
+}
+
+function loadConfig(configArg) {
+  const candidates = configArg ? [configArg] : CONFIG_FILENAMES;
+  for (const candidate of candidates) {
+    const configPath = path.resolve(process.cwd(), candidate);
+    if (!fs.existsSync(configPath)) {
+      if (configArg) throw new Error(`Config file not found: ${configPath}`);
+      continue;
+    }
+    const config = configPath.endsWith(".json")
+      ? JSON.parse(fs.readFileSync(configPath, "utf8"))
+      : require(configPath);
+    return { configPath, config: config || {} };
+  }
+  return { configPath: null, config: {} };
+}
+
+function loadProfileOptions() {
+  const profileName = cliArg("profile");
+  const { configPath, config } = loadConfig(cliArg("config"));
+  const profiles = config.profiles || {};
+
+  if (profileName && !profiles[profileName]) {
+    const known = Object.keys(profiles);
+    throw new Error(
+      `Unknown profile "${profileName}"${configPath ? ` in ${configPath}` : " (no shoot.config.js/json found)"}` +
+        (known.length ? `. Available: ${known.join(", ")}` : "")
+    );
+  }
+
+  return {
+    configPath,
+    profileName: profileName || null,
+    options: { ...(config.defaults || {}), ...(profileName ? profiles[profileName] : {}) },
+  };
+}
+
+let profileOptions = null;
+let configPath = null;
+let profileName = null;
+try {
+  ({ configPath, profileName, options: profileOptions } = loadProfileOptions());
+} catch (e) {
+  console.error(`Config error: ${e.message}`);
+  process.exit(1);
+}
+
+const pdfEnabled = hasFlag("pdf");
+const pdfOnly = hasFlag("pdf-only");
+const pdfNameArg = getArg("pdf-name") || "review-pack.pdf";
+const htmlEnabled = hasFlag("html");
+const htmlOnly = hasFlag("html-only");
+const htmlNameArg = getArg("html-name") || "index.html";
+const runDirArg = getArg("run-dir");
+const compareToArg = getArg("compare-to");
+const resumeEnabled = hasFlag("resume");
+const resumeManifest = resumeEnabled && runDirArg ? readManifest(runDirArg) : null;
+const recordHarEnabled = hasFlag("record-har");
+const replayHarArg = getArg("replay-har"); // run dir recorded with --record-har
+const replayManifest = replayHarArg ? readManifest(replayHarArg) : null;
+
+function splitList(value) {
+  return (value || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+function readTextArg(value) {
+  if (!value) return null;
+  const filePath = path.resolve(process.cwd(), value);
+  return fs.existsSync(filePath) ? fs.readFileSync(filePath, "utf8") : value;
+}
+
+// JSON option: structured config value, inline JSON, or a path to a .json file
+function getJsonArg(name) {
+  const value = getArg(name);
+  if (value === null || typeof value === "object") return value;
+  try {
+    const filePath = path.resolve(process.cwd(), value);
+    return JSON.parse(fs.existsSync(filePath) ? fs.readFileSync(filePath, "utf8") : value);
+  } catch (e) {
+    console.error(`Invalid --${name} (expected JSON or a path to a .json file): ${e.message}`);
+    process.exit(1);
+  }
+}
+
+function parseCredentials(value) {
+  if (!value) return null;
+  if (typeof value === "object") return value;
+  const sep = value.indexOf(":");
+  if (sep < 0) {
+    console.error('Invalid --http-credentials (expected "user:pass")');
+    process.exit(1);
+  }
+  return { username: value.slice(0, sep), password: value.slice(sep + 1) };
+}
+
+// A cookie array, or any object with a "cookies" array (e.g. a Playwright storageState file)
+function parseCookies(value) {
+  if (!value) return [];
+  const cookies = Array.isArray(value) ? value : value.cookies;
+  if (!Array.isArray(cookies) || !cookies.every((c) => c && typeof c === "object" && c.name)) {
+    console.error('Invalid --cookies (expected [{ "name": ..., "value": ... }] or { "cookies": [...] })');
+    process.exit(1);
+  }
+  return cookies;
 }
 
 /* -------------------------
@@ -82,16 +299,30 @@ function looksLikeDomainOnly(u) {
   return /^https?:\/\/[^/]+\/?$/.test(u);
 }
 
-function getPageName(url) {
+const PAGE_NAME_MAX_SLUG = 60;
+
+// Page folder names. The default "hashed" scheme is slug + short hash of
+// host + path (+ query with --name-include-query), so /a/b vs /a-b, or the
+// same path on two hosts, never share a folder. "slug" is the old scheme.
+function getPageName(url, { scheme = pageNameScheme, includeQuery = nameIncludeQuery } = {}) {
   try {
     const u = new URL(url);
-    let p = u.pathname.replace(/\/$/, "");
-    if (!p) return "home";
-    return p
-      .replace(/^\//, "")
-      .replace(/[^\w]+/g, "-")
-      .replace(/-+/g, "-")
-      .toLowerCase();
+    const p = u.pathname.replace(/\/$/, "");
+    const query = includeQuery ? u.search : "";
+
+    let slug = p
+      ? p
+          .replace(/^\//, "")
+          .replace(/[^\w]+/g, "-")
+          .replace(/-+/g, "-")
+          .toLowerCase()
+      : "home";
+    if (query) slug = `${slug}-${safeName(query)}`;
+    if (scheme === "slug") return slug;
+
+    const identity = `${u.hostname.replace(/^www\./, "").toLowerCase()}${p || "/"}${query}`;
+    const hash = crypto.createHash("sha1").update(identity).digest("hex").slice(0, 8);
+    return `${slug.slice(0, PAGE_NAME_MAX_SLUG).replace(/^-+|-+$/g, "") || "page"}--${hash}`;
   } catch {
     return "page";
   }
@@ -99,6 +330,57 @@ function getPageName(url) {
 
 const sleep = (ms) => new Promise((res) => setTimeout(res, ms));
 
+function decodeXmlEntities(str) {
+  return String(str)
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;|&#39;/g, "'")
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&amp;/g, "&");
+}
+
+// URL patterns used by block rules and interactions:
+//   "re:<regex>"      case-insensitive regular expression
+//   "**/g/collect*"   glob over the full URL (** = anything, * = anything but "/")
+//   "hotjar.com"      plain substring ("/api/" too)
+//   "/regex/i"        interactions only: regular expression, flags required (the older syntax)
+function compileUrlPattern(pattern, { regexLiterals = false } = {}) {
+  const str = String(pattern);
+
+  if (str.startsWith("re:")) {
+    const re = new RegExp(str.slice(3), "i");
+    return (url) => re.test(url);
+  }
+
+  const literal = regexLiterals && str.match(/^\/(.+)\/([gimsuy]+)$/);
+  if (literal) {
+    let re = null;
+    try {
+      re = new RegExp(literal[1], literal[2].replace("g", "")); // "g" would make .test() stateful
+    } catch {}
+    // Not a valid regex: fall through to glob/substring
+    if (re) return (url) => re.test(url);
+  }
+
+  if (str.includes("*")) {
+    const source = str
+      .split("**")
+      .map((part) =>
+        part
+          .split("*")
+          .map((s) => s.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+          .join("[^/]*")
+      )
+      .join(".*");
+    const re = new RegExp(`^${source}$`);
+    return (url) => re.test(url);
+  }
+
+  return (url) => url.includes(str);
+}
+
 /* -------------------------
    MODE PRESETS
 -------------------------- */
@@ -107,6 +389,7 @@ const mode = Number(getArg("mode") || 0);
 const MODE_PRESETS = {
   // Fast as possible while still forcing lazy content via sweep fallback
   1: {
+    readyTimeoutMs: 15000,
     fastStabilizeMs: 4000,
     sweep: true,
     sweepSteps: 6,
@@ -115,8 +398,9 @@ const MODE_PRESETS = {
     stableIterations: 6,
     waitTimeoutMs: 20000,
   },
-  // Slightly slower / deeper (more time for stabilise + longer sweep)
+  // Slightly slower / deeper (more time for readiness + longer sweep)
   2: {
+    readyTimeoutMs: 20000,
     fastStabilizeMs: 5000,
     sweep: true,
     sweepSteps: 8,
@@ -135,16 +419,39 @@ const preset = MODE_PRESETS[mode] || MODE_PRESETS[1];
 const waitForSelector = (getArg("wait-for-selector") || "").replace(/^"|"$/g, "");
 const waitTimeoutMs = Number(getArg("wait-timeout")) || preset.waitTimeoutMs;
 
+// Readiness (see READINESS): budget before the sweep fallback, then the settle budget after it
+const readyTimeoutMs = Number(getArg("ready-timeout")) || preset.readyTimeoutMs;
 const fastStabilizeMs = Number(getArg("fast-stabilize")) || preset.fastStabilizeMs;
+const readyQuietMs = Number(getArg("ready-quiet")) || 500;
+const readySignalArg = getArg("ready-signal"); // bare --ready-signal = window.__ready === true
+const readySignal =
+  readySignalArg && readySignalArg !== "true"
+    ? readySignalArg
+    : hasFlag("ready-signal")
+    ? "window.__ready === true"
+    : null;
 const stableIterations = Number(getArg("stable-iterations")) || preset.stableIterations;
 
 const maxPendingImages = Number(getArg("max-pending-images")) || preset.maxPendingImages;
 
-const sweepEnabled = hasFlag("sweep") || preset.sweep || false;
+const sweepEnabled = flagOr("sweep", preset.sweep);
 const sweepSteps = Number(getArg("sweep-steps")) || preset.sweepSteps;
 const sweepWaitMs = Number(getArg("sweep-wait")) || preset.sweepWaitMs;
 
+// Tall pages: stitched segments instead of one fullPage screenshot (see STITCHED CAPTURE)
+const stitchMode = (getArg("stitch") || "auto").toLowerCase();
+if (!["auto", "always", "off"].includes(stitchMode)) {
+  console.log(`Invalid --stitch "${stitchMode}" (use auto, always or off)`);
+  process.exit(1);
+}
+const stitchThresholdPx = Number(getArg("stitch-threshold")) || 16000; // device px (height × DPR)
+const stitchKeepFixed = hasFlag("stitch-keep-fixed");
+
 const blockNoise = !hasFlag("no-block-noise"); // default ON
+// Extra URL patterns to abort (applied even with --no-block-noise)
+const extraBlockPatterns = splitList(getArg("block"));
+const blockPresets = splitList(getArg("block-presets")); // ga, hotjar, meta, tiktok, chat
+const blockTypes = splitList(getArg("block-types")); // media, font, websocket, ...
 
 // Sitemap filters/caps
 const include = getArg("include"); // substring filter
@@ -152,17 +459,448 @@ const exclude = getArg("exclude"); // substring filter
 const limit = Number(getArg("limit") || 0); // 0 = no limit
 const sameHostOnly = hasFlag("same-host-only");
 
+// Sitemap: only pages with <lastmod> on/after --since, optional hreflang alternates
+const sinceArg = getArg("since");
+const sinceDate = sinceArg ? new Date(sinceArg) : null;
+if (sinceDate && Number.isNaN(sinceDate.getTime())) {
+  console.error(`Invalid --since date: ${sinceArg}`);
+  process.exit(1);
+}
+const hreflangArg = getArg("hreflang"); // "fr,de-de" = only those locales; bare --hreflang = all
+const hreflangLocales =
+  hreflangArg && hreflangArg !== "true"
+    ? splitList(hreflangArg).map((l) => l.toLowerCase())
+    : hasFlag("hreflang") || hreflangArg === "true"
+    ? true
+    : null;
+
+// Link crawling when a domain has no sitemap
+const crawlEnabled = hasFlag("crawl");
+const crawlMaxDepth = getArg("max-depth") !== null ? Number(getArg("max-depth")) : 2;
+const crawlMaxPages = getArg("max-pages") !== null ? Number(getArg("max-pages")) : 200; // pages fetched while crawling
+if (!Number.isInteger(crawlMaxDepth) || crawlMaxDepth < 0) {
+  console.log(`Invalid --max-depth "${getArg("max-depth")}" (expected a whole number, 0 = start page only)`);
+  process.exit(1);
+}
+if (!Number.isInteger(crawlMaxPages) || crawlMaxPages < 1) {
+  console.log(`Invalid --max-pages "${getArg("max-pages")}" (expected a positive whole number)`);
+  process.exit(1);
+}
+const ignoreRobots = hasFlag("ignore-robots");
+
+// Page folder naming
+const pageNameScheme = getArg("page-names") || "hashed"; // hashed | slug (pre-hash naming)
+const nameIncludeQuery = hasFlag("name-include-query"); // ?variant=1 / ?variant=2 get their own folders
+
+// Navigation retries (pages where page.goto throws)
+const navRetries = Math.max(0, Number(getArg("retry")) || 0);
+const navRetryBackoffMs = Number(getArg("retry-backoff")) || 2000; // doubles per attempt
+
+// Parallel capture
+const concurrency = Math.max(1, Number(getArg("concurrency")) || 1); // pages in flight at once
+const parallelViewports = hasFlag("parallel-viewports"); // capture all viewports of a page at once
+
+// Auth / session state (reused by every viewport context)
+const httpCredentials = parseCredentials(getArg("http-credentials")); // "user:pass" (staging basic-auth)
+const extraHeaders = getJsonArg("headers"); // {"x-preview-token": "..."}
+const sessionCookies = parseCookies(getJsonArg("cookies")); // Playwright cookies (JSON or path to .json)
+const storageStatePath = getArg("storage-state"); // Playwright storageState file
+const loginScriptPath = getArg("login-script"); // runs once per domain before capture
+
+// Dynamic-content freezing (reproducible screenshots)
+const deterministic = hasFlag("deterministic"); // shorthand for all four below
+const maskSelectors = splitList(getArg("mask")); // painted over as solid boxes
+const maskColor = getArg("mask-color") || "#FF00FF";
+const hideSelectors = splitList(getArg("hide")); // visibility: hidden
+const injectCss = readTextArg(getArg("inject-css")); // inline CSS or path to a .css file
+const disableAnimations = flagOr("disable-animations", deterministic);
+const pauseVideos = flagOr("pause-videos", deterministic);
+const freezeTimeArg = getArg("freeze-time"); // ISO date, or bare flag for the default below
+const freezeTime =
+  freezeTimeArg && freezeTimeArg !== "true"
+    ? freezeTimeArg
+    : freezeTimeArg === "true" || flagOr("freeze-time", deterministic)
+    ? "2025-01-01T12:00:00Z"
+    : null;
+const freezeRandom = flagOr("freeze-random", deterministic);
+
+// Per-URL interaction steps (config "interactions" or --interactions=steps.json)
+const interactionRules = getJsonArg("interactions") || [];
+
+// Screenshot files (see SCREENSHOT OUTPUT section)
+const SHOT_EXTENSIONS = { png: "png", jpeg: "jpg", webp: "webp", avif: "avif" };
+const shotFormatArg = (getArg("format") || "png").toLowerCase();
+const shotFormat = shotFormatArg === "jpg" ? "jpeg" : shotFormatArg;
+if (!SHOT_EXTENSIONS[shotFormat]) {
+  console.log(`Unknown --format "${shotFormatArg}" (use ${Object.keys(SHOT_EXTENSIONS).join(", ")})`);
+  process.exit(1);
+}
+const shotQuality = Math.min(100, Math.max(1, Number(getArg("quality")) || 80)); // jpeg/webp/avif only
+const maxShotHeight = Number(getArg("max-height")) || 0; // px; 0 = keep the full page
+const thumbnailsEnabled = hasFlag("thumbnails");
+const pdfImageQuality = Math.min(100, Math.max(1, Number(getArg("pdf-quality")) || 80));
+
+// Extra shots after the full-page one (see EXTRA SHOTS section)
+// CLI string or the raw profile value: getArg would join a profile array back with commas
+const elementShots = parseElementShots(cliArg("elements") ?? getProfileValue("elements"));
+const aboveTheFold = hasFlag("above-the-fold");
+const clipRect = parseClipRect(getArg("clip"));
+checkShotLabels();
+
+// Accessibility audit (--a11y [--a11y-tags=wcag2a,wcag2aa])
+const a11yEnabled = hasFlag("a11y");
+const a11yTags = splitList(getArg("a11y-tags"));
+
+// Broken link / asset check (--check-links)
+const linkCheckEnabled = hasFlag("check-links");
+const linkCheckConcurrency = Math.max(1, Number(getArg("link-concurrency")) || 8); // shared by the whole run
+const linkCheckTimeoutMs = Number(getArg("link-timeout")) || 10000;
+
+// Visual diff (--compare-to)
+const diffThresholdArg = getArg("diff-threshold");
+const diffThresholdPct = diffThresholdArg !== null ? Number(diffThresholdArg) : 0.5; // max % changed pixels to pass
+const diffToleranceArg = getArg("diff-tolerance");
+const diffTolerance = diffToleranceArg !== null ? Number(diffToleranceArg) : 24; // per-channel delta (0-255) treated as noise
+if (Number.isNaN(diffThresholdPct) || diffThresholdPct < 0 || diffThresholdPct > 100) {
+  console.log(`Invalid --diff-threshold "${diffThresholdArg}" (expected a percentage, 0-100)`);
+  process.exit(1);
+}
+if (!Number.isInteger(diffTolerance) || diffTolerance < 0 || diffTolerance > 255) {
+  console.log(`Invalid --diff-tolerance "${diffToleranceArg}" (expected an integer, 0-255)`);
+  process.exit(1);
+}
+
+// CI gating (--fail-on): checks that make the run exit non-zero
+const REPORT_CHECKS = ["nav", "http", "stability", "console-errors", "request-failures", "broken-links", "diff"];
+const failOn = splitList(getArg("fail-on"));
+const unknownChecks = failOn.filter((c) => !REPORT_CHECKS.includes(c));
+if (unknownChecks.length) {
+  console.log(`Unknown --fail-on check(s): ${unknownChecks.join(", ")} (use ${REPORT_CHECKS.join(", ")})`);
+  process.exit(1);
+}
+
 /* -------------------------
    VIEWPORTS (full-page screenshots only)
 -------------------------- */
-const viewports = [
-  { name: "mobile", width: 390, height: 844 },
-  { name: "desktop", width: 1440, height: 900 },
+const VIEWPORT_PRESETS = {
+  mobile: { width: 390, height: 844 },
+  tablet: { width: 834, height: 1194 },
+  laptop: { width: 1280, height: 800 },
+  desktop: { width: 1440, height: 900 },
+  "4k": { width: 3840, height: 2160 },
+};
+
+// Runs/manifests written before viewports were configurable only had these two (desktop first in the PDF)
+const LEGACY_VIEWPORT_NAMES = ["desktop", "mobile"];
+const DEFAULT_VIEWPORTS = LEGACY_VIEWPORT_NAMES;
+
+function viewportFromDevice(name, deviceName) {
+  const device = devices[deviceName];
+  if (!device) return null;
+  return {
+    name: safeName(name || deviceName),
+    width: device.viewport.width,
+    height: device.viewport.height,
+    deviceScaleFactor: device.deviceScaleFactor,
+    isMobile: device.isMobile,
+    hasTouch: device.hasTouch,
+    userAgent: device.userAgent,
+    device: deviceName,
+  };
+}
+
+// Accepts:
+//   "mobile" / "tablet" / "laptop" / "desktop" / "4k"   (presets)
+//   "name:WIDTHxHEIGHT" or "name:WIDTHxHEIGHT@DPR"
+//   "name:<Playwright device>" or just "<Playwright device>" (e.g. "iPad Pro 11")
+//   { name, width, height, deviceScaleFactor, isMobile, hasTouch, userAgent } or { name, device }
+function parseViewportSpec(spec) {
+  if (spec && typeof spec === "object") {
+    if (spec.device) {
+      const vp = viewportFromDevice(spec.name, spec.device);
+      if (!vp) throw new Error(`Unknown Playwright device: ${spec.device}`);
+      return { ...vp, ...spec, name: vp.name };
+    }
+    if (!spec.name || !spec.width || !spec.height) {
+      throw new Error(`Viewport needs name, width and height: ${JSON.stringify(spec)}`);
+    }
+    return { ...spec, name: safeName(spec.name) };
+  }
+
+  const raw = String(spec).trim();
+  const preset = VIEWPORT_PRESETS[raw.toLowerCase()];
+  if (preset) return { name: raw.toLowerCase(), ...preset };
+
+  const sep = raw.indexOf(":");
+  const name = sep > 0 ? raw.slice(0, sep).trim() : null;
+  const value = sep > 0 ? raw.slice(sep + 1).trim() : raw;
+
+  const dims = value.match(/^(\d+)x(\d+)(?:@(\d+(?:\.\d+)?))?$/i);
+  if (dims) {
+    if (!name) throw new Error(`Viewport "${raw}" needs a name, e.g. "tablet:${value}"`);
+    const vp = { name: safeName(name), width: Number(dims[1]), height: Number(dims[2]) };
+    if (dims[3]) vp.deviceScaleFactor = Number(dims[3]);
+    return vp;
+  }
+
+  const vp = viewportFromDevice(name, value);
+  if (!vp) throw new Error(`Unknown viewport "${raw}" (use a preset, name:WxH or a Playwright device name)`);
+  return vp;
+}
+
+function resolveViewports(specs) {
+  const list = typeof specs === "string" ? specs.split(",").filter((x) => x.trim()) : specs;
+  const out = (list && list.length ? list : DEFAULT_VIEWPORTS).map(parseViewportSpec);
+
+  const seen = new Set();
+  for (const vp of out) {
+    if (seen.has(vp.name)) throw new Error(`Duplicate viewport name: ${vp.name}`);
+    seen.add(vp.name);
+  }
+  return out;
+}
+
+function contextOptionsForViewport(vp) {
+  const opts = { viewport: { width: vp.width, height: vp.height } };
+  if (vp.deviceScaleFactor) opts.deviceScaleFactor = vp.deviceScaleFactor;
+  // Firefox rejects isMobile; width, DPR, touch and user agent still give the mobile layout
+  if (vp.isMobile && vp.browser !== "firefox") opts.isMobile = true;
+  if (vp.hasTouch) opts.hasTouch = true;
+  if (vp.userAgent) opts.userAgent = vp.userAgent;
+  return { ...opts, ...emulationContextOptions(vp.emulation) };
+}
+
+/* -------------------------
+   EMULATION + VARIANTS
+   Base options apply to every capture:
+     --color-scheme=dark --reduced-motion --forced-colors --locale=de-DE --timezone=Europe/Berlin
+     --geolocation=52.52,13.40 --media=print --throttle=slow-3g|fast-3g
+   Named variants (--variants=variants.json, inline JSON, or "variants" in a profile) add one
+   capture per viewport each, saved as <viewport>-<variant>:
+     { "dark": { "colorScheme": "dark", "reducedMotion": true },
+       "slow": { "throttle": { "cpu": 4, "downloadKbps": 400, "uploadKbps": 400, "latencyMs": 2000 } } }
+   Throttling is Chromium only.
+-------------------------- */
+// Same numbers as the Chrome DevTools presets
+const THROTTLE_PRESETS = {
+  "slow-3g": { cpu: 4, downloadKbps: 400, uploadKbps: 400, latencyMs: 2000 },
+  "fast-3g": { cpu: 4, downloadKbps: 1440, uploadKbps: 675, latencyMs: 563 },
+};
+const EMULATION_KEYS = [
+  "colorScheme",
+  "reducedMotion",
+  "forcedColors",
+  "locale",
+  "timezone",
+  "geolocation",
+  "media",
+  "throttle",
 ];
 
+function emulationError(where, message) {
+  console.error(`Invalid emulation option (${where}): ${message}`);
+  process.exit(1);
+}
+
+function oneOf(where, key, value, allowed) {
+  if (!allowed.includes(value)) emulationError(where, `${key} must be one of ${allowed.join(", ")} (got "${value}")`);
+  return value;
+}
+
+// Accepts flag-style (kebab-case, strings) or config-style (camelCase, booleans/objects) values
+function normalizeEmulation(spec, where) {
+  const out = {};
+  const get = (key) => {
+    const kebab = key.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`);
+    const value = spec[key] ?? spec[kebab] ?? (key === "timezone" ? spec.timezoneId : undefined);
+    return value === null || value === undefined || value === false ? null : value;
+  };
+  for (const key of Object.keys(spec)) {
+    const camel = key.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+    if (!EMULATION_KEYS.includes(camel) && camel !== "timezoneId") emulationError(where, `unknown key "${key}"`);
+  }
+
+  const colorScheme = get("colorScheme");
+  if (colorScheme) out.colorScheme = oneOf(where, "colorScheme", colorScheme, ["light", "dark", "no-preference"]);
+  const reducedMotion = get("reducedMotion");
+  if (reducedMotion) {
+    out.reducedMotion =
+      reducedMotion === true ? "reduce" : oneOf(where, "reducedMotion", reducedMotion, ["reduce", "no-preference"]);
+  }
+  const forcedColors = get("forcedColors");
+  if (forcedColors) {
+    out.forcedColors =
+      forcedColors === true ? "active" : oneOf(where, "forcedColors", forcedColors, ["active", "none"]);
+  }
+  if (get("locale")) out.locale = String(get("locale"));
+  if (get("timezone")) out.timezone = String(get("timezone"));
+
+  const geo = get("geolocation");
+  if (geo) {
+    const [latitude, longitude, accuracy] =
+      typeof geo === "object" ? [geo.latitude, geo.longitude, geo.accuracy] : String(geo).split(",").map(Number);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+      emulationError(where, 'geolocation must be "lat,lng" or { latitude, longitude }');
+    }
+    out.geolocation = { latitude, longitude, ...(Number.isFinite(accuracy) ? { accuracy } : {}) };
+  }
+
+  const media = get("media");
+  if (media) out.media = oneOf(where, "media", media, ["screen", "print"]);
+
+  const throttle = get("throttle");
+  if (throttle) {
+    if (typeof throttle === "object") {
+      out.throttle = { ...throttle };
+    } else {
+      if (!THROTTLE_PRESETS[throttle]) oneOf(where, "throttle", throttle, Object.keys(THROTTLE_PRESETS));
+      out.throttle = { preset: throttle, ...THROTTLE_PRESETS[throttle] };
+    }
+  }
+  return out;
+}
+
+function resolveVariants(value) {
+  if (!value) return [];
+  if (typeof value !== "object" || Array.isArray(value)) {
+    emulationError("--variants", "expected an object of name → options");
+  }
+  return Object.entries(value).map(([name, spec]) => ({
+    name: safeName(name),
+    emulation: { ...baseEmulation, ...normalizeEmulation(spec || {}, `variant "${name}"`) },
+  }));
+}
+
+const baseEmulation = normalizeEmulation(
+  {
+    colorScheme: getArg("color-scheme"),
+    reducedMotion: hasFlag("reduced-motion"),
+    forcedColors: hasFlag("forced-colors"),
+    locale: getArg("locale"),
+    timezone: getArg("timezone"),
+    geolocation: getArg("geolocation"),
+    media: getArg("media"),
+    throttle: getArg("throttle"),
+  },
+  "flags"
+);
+const emulationVariants = resolveVariants(getJsonArg("variants"));
+
+function emulationContextOptions(emulation = {}) {
+  const opts = {};
+  if (emulation.colorScheme) opts.colorScheme = emulation.colorScheme;
+  if (emulation.reducedMotion) opts.reducedMotion = emulation.reducedMotion;
+  if (emulation.forcedColors) opts.forcedColors = emulation.forcedColors;
+  if (emulation.locale) opts.locale = emulation.locale;
+  if (emulation.timezone) opts.timezoneId = emulation.timezone;
+  if (emulation.geolocation) {
+    opts.geolocation = emulation.geolocation;
+    opts.permissions = ["geolocation"];
+  }
+  return opts;
+}
+
+// Page-level emulation (print media, CDP throttling). Returns notes for the stability JSON.
+async function applyPageEmulation(page, vp) {
+  const emulation = vp.emulation || {};
+  const notes = [];
+  if (emulation.media) await page.emulateMedia({ media: emulation.media });
+
+  if (emulation.throttle) {
+    if (vp.browser !== "chromium") {
+      notes.push(`throttle skipped: CDP throttling is Chromium-only (${vp.browser})`);
+    } else {
+      const t = emulation.throttle;
+      const cdp = await page.context().newCDPSession(page);
+      await cdp.send("Network.enable");
+      await cdp.send("Network.emulateNetworkConditions", {
+        offline: false,
+        latency: t.latencyMs || 0,
+        downloadThroughput: t.downloadKbps ? (t.downloadKbps * 1000) / 8 : -1,
+        uploadThroughput: t.uploadKbps ? (t.uploadKbps * 1000) / 8 : -1,
+      });
+      if (t.cpu && t.cpu > 1) await cdp.send("Emulation.setCPUThrottlingRate", { rate: t.cpu });
+    }
+  }
+  return notes;
+}
+
+// Short human label, e.g. "dark, de-DE, print"
+function emulationLabel(emulation = {}) {
+  const parts = [];
+  if (emulation.colorScheme) parts.push(emulation.colorScheme);
+  if (emulation.reducedMotion === "reduce") parts.push("reduced motion");
+  if (emulation.forcedColors === "active") parts.push("forced colors");
+  if (emulation.locale) parts.push(emulation.locale);
+  if (emulation.timezone) parts.push(emulation.timezone);
+  if (emulation.geolocation) parts.push(`geo ${emulation.geolocation.latitude},${emulation.geolocation.longitude}`);
+  if (emulation.media) parts.push(`${emulation.media} media`);
+  if (emulation.throttle) parts.push(emulation.throttle.preset || "throttled");
+  return parts.join(", ");
+}
+
+/* -------------------------
+   BROWSERS (--browsers=chromium,webkit,firefox)
+   Every viewport is captured once per engine; Chromium keeps the plain name (mobile.png),
+   other engines get a suffix (mobile-webkit.png, desktop-firefox.png).
+-------------------------- */
+const BROWSER_TYPES = { chromium, webkit, firefox };
+const BROWSER_LABELS = { chromium: "Chromium", webkit: "WebKit", firefox: "Firefox" };
+const DEFAULT_BROWSER = "chromium";
+
+function resolveBrowsers(value) {
+  const names = splitList(value).map((b) => b.toLowerCase());
+  const unknown = names.filter((b) => !BROWSER_TYPES[b]);
+  if (unknown.length) {
+    console.log(`Unknown --browsers value(s): ${unknown.join(", ")} (use ${Object.keys(BROWSER_TYPES).join(", ")})`);
+    process.exit(1);
+  }
+  return names.length ? [...new Set(names)] : [DEFAULT_BROWSER];
+}
+
+// One capture target per viewport × engine × (base + each --variants entry)
+function expandCaptureTargets(vps, browserNames, variants) {
+  // Viewports read back from a manifest (--resume) are already expanded
+  if (vps.some((vp) => vp.browser)) return vps;
+
+  const withEmulation = (emulation) => (Object.keys(emulation).length ? { emulation } : {});
+  const out = vps.flatMap((vp) =>
+    browserNames.flatMap((browser) => {
+      const name = browser === DEFAULT_BROWSER ? vp.name : `${vp.name}-${browser}`;
+      const base = { ...vp, name, baseName: vp.name, browser, ...withEmulation(baseEmulation) };
+      return [
+        base,
+        ...variants.map((v) => ({
+          ...base,
+          name: `${name}-${v.name}`,
+          variant: v.name,
+          ...withEmulation(v.emulation),
+        })),
+      ];
+    })
+  );
+  const seen = new Set();
+  for (const vp of out) {
+    if (seen.has(vp.name)) throw new Error(`Duplicate viewport name: ${vp.name} (clashes with a --browsers suffix)`);
+    seen.add(vp.name);
+  }
+  return out;
+}
+
+// --resume keeps the viewports (and engines) of the run being resumed unless overridden
+let baseViewports = [];
+try {
+  baseViewports = resolveViewports(getArg("viewports") || (resumeManifest && resumeManifest.viewports));
+} catch (e) {
+  console.error(`Viewports: ${e.message}`);
+  process.exit(1);
+}
+const viewports = expandCaptureTargets(baseViewports, resolveBrowsers(getArg("browsers")), emulationVariants);
+
 /* -------------------------
    PAGE INTERACTION HELPERS
 -------------------------- */
+// true when a banner button was clicked (the page changed and needs to settle again)
 async function tryDismissCookieBanners(page) {
   const selectors = [
     'button:has-text("Accept")',
@@ -182,19 +920,79 @@ async function tryDismissCookieBanners(page) {
       if (btn) {
         await btn.click({ timeout: 800 }).catch(() => {});
         await page.waitForTimeout(400);
-        break;
+        return true;
       }
     } catch {}
   }
+  return false;
+}
+
+// page.goto with retry + exponential backoff; every failed attempt is logged as NAV_FAIL.
+// Only waits for DOMContentLoaded: waitForReadiness decides when the page is done.
+async function gotoWithRetry(page, url, { retries = 0, backoffMs = 2000, errors = [] } = {}) {
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= retries + 1; attempt++) {
+    try {
+      const response = await page.goto(url, { waitUntil: "domcontentloaded", timeout: 60000 });
+      return { ok: true, attempts: attempt, error: null, status: response ? response.status() : null, response };
+    } catch (e) {
+      lastError = String(e);
+      errors.push(`NAV_FAIL${retries ? ` (attempt ${attempt}/${retries + 1})` : ""}: ${lastError}`);
+      if (attempt <= retries) await sleep(backoffMs * 2 ** (attempt - 1));
+    }
+  }
+
+  return { ok: false, attempts: retries + 1, error: lastError, status: null, response: null };
 }
 
-async function waitForFonts(page, timeoutMs = 8000) {
+// Main document status + HTTP redirect chain (oldest hop first). finalUrl is what was actually
+// screenshotted, so client-side redirects (e.g. a soft redirect to home) show up as well.
+async function describeResponse(page, response, requestedUrl) {
+  const redirects = [];
+  let req = response ? response.request().redirectedFrom() : null;
+  while (req) {
+    const hop = await req.response().catch(() => null);
+    redirects.unshift({ url: req.url(), status: hop ? hop.status() : null });
+    req = req.redirectedFrom();
+  }
+
+  const finalUrl = page.url();
+  let redirected = redirects.length > 0;
   try {
-    await page.evaluate(async (t) => {
-      if (!document.fonts) return;
-      await Promise.race([document.fonts.ready, new Promise((res) => setTimeout(res, t))]);
-    }, timeoutMs);
+    redirected = redirected || new URL(finalUrl).href !== new URL(requestedUrl).href;
   } catch {}
+
+  return {
+    status: response ? response.status() : null,
+    statusText: response ? response.statusText() : null,
+    finalUrl,
+    redirected,
+    redirects,
+  };
+}
+
+// SEO-ish page metadata reviewers check alongside the screenshot
+async function readPageMeta(page) {
+  return page
+    .evaluate(() => {
+      const clean = (value) => (value ? value.replace(/\s+/g, " ").trim() : null) || null;
+      const og = {};
+      for (const el of document.querySelectorAll('meta[property^="og:"]')) {
+        const key = el.getAttribute("property").slice(3);
+        if (!(key in og)) og[key] = clean(el.getAttribute("content"));
+      }
+      const h1s = document.querySelectorAll("h1");
+      return {
+        title: clean(document.title),
+        description: clean(document.querySelector('meta[name="description"]')?.getAttribute("content")),
+        canonical: document.querySelector('link[rel="canonical"]')?.href || null,
+        og,
+        h1: clean(h1s[0]?.textContent),
+        h1Count: h1s.length,
+      };
+    })
+    .catch(() => null);
 }
 
 async function waitForSelectorIfNeeded(page, selector, timeoutMs) {
@@ -210,709 +1008,3378 @@ async function waitForSelectorIfNeeded(page, selector, timeoutMs) {
   }
 }
 
-// Catch-all stability gate (best effort, may timeout on "never stable" pages)
-async function waitForStability(
-  page,
-  { timeoutMs = 4000, pollMs = 250, stableIterations = 6, maxPendingImages = 5 } = {}
-) {
-  const start = Date.now();
-  let stableCount = 0;
-  let last = { height: 0, pendingImgs: 999, domSize: 0 };
-
-  while (Date.now() - start < timeoutMs) {
-    const cur = await page.evaluate(() => {
-      const height = Math.max(document.body?.scrollHeight || 0, document.documentElement?.scrollHeight || 0);
-      const imgs = Array.from(document.images || []);
-      const pendingImgs = imgs.filter((img) => !img.complete).length;
-      const domSize = document.getElementsByTagName("*").length;
-      return { height, pendingImgs, domSize };
-    });
-
-    const heightStable = Math.abs(cur.height - last.height) <= 2;
-    const domStable = Math.abs(cur.domSize - last.domSize) <= 5;
-    const imgsOk = cur.pendingImgs <= maxPendingImages;
-
-    if (heightStable && domStable && imgsOk) {
-      stableCount += 1;
-      if (stableCount >= stableIterations) return { ok: true, ...cur };
-    } else {
-      stableCount = 0;
-    }
-
-    last = cur;
-    await page.waitForTimeout(pollMs);
-  }
+async function getPageHeight(page) {
+  return page.evaluate(() =>
+    Math.max(
+      document.body?.scrollHeight || 0,
+      document.documentElement?.scrollHeight || 0,
+      document.scrollingElement?.scrollHeight || 0
+    )
+  );
+}
 
-  return { ok: false, reason: "timeout" };
+// "instant" so sites with scroll-behavior: smooth are already there when we wait/capture
+async function scrollPageTo(page, y, waitMs) {
+  await page.evaluate((yy) => window.scrollTo({ top: yy, left: 0, behavior: "instant" }), y);
+  await page.waitForTimeout(waitMs);
 }
 
 // Scroll sweep to force IO/lazy content render (no spot screenshots saved)
 async function renderSweep(page, steps = 6, waitMs = 250) {
-  const total = await page.evaluate(() => {
-    const h1 = document.body?.scrollHeight || 0;
-    const h2 = document.documentElement?.scrollHeight || 0;
-    return Math.max(h1, h2);
-  });
+  const total = await getPageHeight(page);
 
   for (let i = 0; i <= steps; i++) {
-    const y = Math.floor((total * i) / steps);
-    await page.evaluate((yy) => window.scrollTo(0, yy), y);
-    await page.waitForTimeout(waitMs);
+    await scrollPageTo(page, Math.floor((total * i) / steps), waitMs);
   }
 
-  await page.evaluate(() => window.scrollTo(0, 0));
-  await page.waitForTimeout(250);
+  await scrollPageTo(page, 0, 250);
 }
 
 /* -------------------------
-   SITEMAP SUPPORT
+   READINESS (replaces networkidle + fixed polling)
+   After DOMContentLoaded, ready once network, dom, images, fonts and --ready-signal all hold
+   on consecutive polls; the stability JSON names what it waited on (or what was pending).
 -------------------------- */
-async function fetchText(url) {
-  if (typeof fetch !== "function") {
-    throw new Error("Global fetch not available. Use Node 18+.");
-  }
-  const res = await fetch(url, {
-    redirect: "follow",
-    headers: {
-      "user-agent": "ou-screenshot/1.0 (playwright)",
-      accept: "application/xml,text/xml,text/plain,*/*",
-    },
+const READY_POLL_MS = 100;
+const READY_LONG_REQUEST_MS = 3000;
+const READY_IGNORED_TYPES = new Set(["websocket", "eventsource", "ping"]);
+const READY_RENDER_TYPES = new Set(["document", "stylesheet", "script", "image", "font"]);
+const READY_MAX_BACKGROUNDS = 100;
+const READY_BACKGROUND_SCAN_MS = 1000; // full computed-style pass at most this often while the DOM churns
+
+function readinessInitScript() {
+  const state = { lastMutation: performance.now(), mutations: 0, decoded: new WeakMap(), backgrounds: new Map() };
+  state.backgroundScanAt = -Infinity;
+  window.__shootReady = state;
+  // Class/style churn (carousels, tickers) is ignored: only content and image swaps count
+  new MutationObserver((records) => {
+    state.mutations += records.length;
+    state.lastMutation = performance.now();
+  }).observe(document, {
+    childList: true,
+    subtree: true,
+    characterData: true,
+    attributes: true,
+    attributeFilter: ["src", "srcset"],
   });
-  if (!res.ok) throw new Error(`Fetch failed ${res.status} for ${url}`);
-  return await res.text();
 }
 
-function parseSitemapLocs(xml) {
-  const locs = [...xml.matchAll(/<loc>\s*([^<\s]+)\s*<\/loc>/gi)].map((m) => m[1].trim());
-  return Array.from(new Set(locs));
+// In-flight request counter for the network condition; install before page.goto
+function trackNetworkActivity(page) {
+  const inflight = new Map(); // request → { type, startedAt }
+  let lastActivity = Date.now();
+  const settle = (req) => {
+    if (inflight.delete(req)) lastActivity = Date.now();
+  };
+
+  page.on("request", (req) => {
+    const type = req.resourceType();
+    if (READY_IGNORED_TYPES.has(type)) return;
+    inflight.set(req, { type, startedAt: Date.now() });
+    lastActivity = Date.now();
+  });
+  page.on("requestfinished", settle);
+  page.on("requestfailed", settle);
+
+  return () => {
+    const now = Date.now();
+    let pending = 0;
+    let longPolls = 0;
+    for (const { type, startedAt } of inflight.values()) {
+      if (READY_RENDER_TYPES.has(type) || now - startedAt < READY_LONG_REQUEST_MS) pending += 1;
+      else longPolls += 1;
+    }
+    return { inflight: pending, longPolls, idleMs: now - lastActivity };
+  };
 }
 
-function isSitemapIndex(xml) {
-  return /<sitemapindex\b/i.test(xml);
+// DOM, image and font state in one round trip (null when the page is mid-navigation)
+async function readReadinessSnapshot(page, quietMs) {
+  const limits = { maxBackgrounds: READY_MAX_BACKGROUNDS, quietMs, scanEveryMs: READY_BACKGROUND_SCAN_MS };
+  return page
+    .evaluate(async ({ maxBackgrounds, quietMs, scanEveryMs }) => {
+      const state = window.__shootReady;
+      const now = performance.now();
+      const settle = (promise) => Promise.race([promise.catch(() => {}), new Promise((res) => setTimeout(res, 1000))]);
+
+      // Reading scrollHeight forces a layout: WebKit only queues @font-face loads once text is laid out
+      const height = Math.max(
+        document.body?.scrollHeight || 0,
+        document.documentElement?.scrollHeight || 0,
+        document.scrollingElement?.scrollHeight || 0
+      );
+
+      // Engines disagree on .complete for deferred loading="lazy" images below the fold
+      // (Firefox/WebKit report false until they load), so only count those near the viewport
+      let pendingImgs = 0;
+      const undecoded = [];
+      for (const img of Array.from(document.images || [])) {
+        if (img.loading === "lazy") {
+          const rect = img.getBoundingClientRect();
+          if (rect.bottom <= 0 || rect.top >= window.innerHeight) continue;
+        }
+        if (!img.complete || (img.srcset && !img.currentSrc)) pendingImgs += 1;
+        // naturalWidth 0 = broken: it won't get any better, so it doesn't block
+        else if (state && img.naturalWidth && state.decoded.get(img) !== img.currentSrc) undecoded.push(img);
+      }
+      await Promise.all(
+        undecoded.map((img) => {
+          const src = img.currentSrc;
+          return settle(img.decode().then(() => state.decoded.set(img, src)));
+        })
+      );
+      pendingImgs += undecoded.filter((img) => state.decoded.get(img) !== img.currentSrc).length;
+
+      // Background images: a scan is a style pass over every element, so it runs once the DOM has
+      // gone quiet after a mutation (right before the dom condition can pass) and otherwise at most
+      // every scanEveryMs (also catches class-driven swaps). Each URL is decoded once through an
+      // Image probe (served from cache when already loaded).
+      let pendingBackgrounds = 0;
+      if (state) {
+        const settledSinceScan = state.backgroundScanAt < state.lastMutation && now - state.lastMutation >= quietMs;
+        if (settledSinceScan || now - state.backgroundScanAt >= scanEveryMs) {
+          state.backgroundScanAt = now;
+          for (const el of document.querySelectorAll("body, body *")) {
+            if (state.backgrounds.size >= maxBackgrounds) break;
+            const bg = getComputedStyle(el).backgroundImage;
+            if (!bg || bg === "none" || !el.getClientRects().length) continue;
+            for (const [, url] of bg.matchAll(/url\(\s*["']?(.*?)["']?\s*\)/g)) {
+              if (state.backgrounds.has(url) || state.backgrounds.size >= maxBackgrounds) continue;
+              const entry = { done: false };
+              const probe = new Image();
+              probe.src = url;
+              probe
+                .decode()
+                .catch(() => {})
+                .then(() => (entry.done = true));
+              state.backgrounds.set(url, entry);
+            }
+          }
+        }
+        for (const entry of state.backgrounds.values()) {
+          if (!entry.done) pendingBackgrounds += 1;
+        }
+      }
+
+      return {
+        height,
+        domSize: document.getElementsByTagName("*").length,
+        domIdleMs: state ? Math.round(now - state.lastMutation) : null,
+        pendingImgs,
+        pendingBackgrounds,
+        fontsLoading: document.fonts ? document.fonts.status === "loading" : false,
+      };
+    }, limits)
+    .catch(() => null);
 }
 
-async function expandSitemap(sitemapUrl) {
-  const xml = await fetchText(sitemapUrl);
-  let locs = parseSitemapLocs(xml);
+// Raced against the remaining budget: an expression returning a promise that never settles
+// must not hold up the capture
+async function readReadySignal(page, expression, timeoutMs) {
+  let timer = null;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(resolve, timeoutMs, false);
+  });
+  const signal = page.evaluate(expression).then(Boolean, () => false);
+  return Promise.race([signal, timeout]).finally(() => clearTimeout(timer));
+}
 
-  if (isSitemapIndex(xml)) {
-    const childSitemaps = locs.filter((u) => u.endsWith(".xml"));
-    const expanded = [];
-    for (const sm of childSitemaps) {
-      try {
-        const childXml = await fetchText(sm);
-        expanded.push(...parseSitemapLocs(childXml));
-      } catch {}
+async function waitForReadiness(
+  page,
+  network,
+  { timeoutMs = 15000, quietMs = 500, stableIterations = 3, maxPendingImages = 5, signal = null } = {}
+) {
+  const start = Date.now();
+  const readyAt = {}; // condition → ms after start since when it has held
+  let passes = 0;
+  let pending = [];
+  let snapshot = null;
+  let net = null;
+
+  for (;;) {
+    snapshot = await readReadinessSnapshot(page, quietMs);
+    net = network();
+    const elapsed = Date.now() - start;
+    const conditions = {
+      network: net.inflight === 0 && net.idleMs >= quietMs,
+      // no observer (init script didn't run in this document): nothing to wait for
+      dom: !!snapshot && (snapshot.domIdleMs === null || snapshot.domIdleMs >= quietMs),
+      images: !!snapshot && snapshot.pendingImgs + snapshot.pendingBackgrounds <= maxPendingImages,
+      fonts: !!snapshot && !snapshot.fontsLoading,
+    };
+    if (signal) conditions.signal = await readReadySignal(page, signal, Math.max(READY_POLL_MS, timeoutMs - elapsed));
+
+    for (const [name, ok] of Object.entries(conditions)) {
+      if (!ok) delete readyAt[name];
+      else if (!(name in readyAt)) readyAt[name] = elapsed;
     }
-    locs = Array.from(new Set(expanded)).filter((u) => !u.endsWith(".xml"));
-  } else {
-    locs = locs.filter((u) => !u.endsWith(".xml"));
+    pending = Object.keys(conditions).filter((name) => !conditions[name]);
+    passes = pending.length ? 0 : passes + 1;
+
+    if (passes >= stableIterations || elapsed >= timeoutMs) break;
+    await page.waitForTimeout(READY_POLL_MS);
   }
 
-  return locs;
+  const ok = pending.length === 0;
+  // The bottleneck: the condition that became true last ("none" when all held on the first poll)
+  const [last] = Object.entries(readyAt).sort((a, b) => b[1] - a[1]);
+  const waitedOn = ok ? (last && last[1] > 0 ? last[0] : "none") : pending.join("+");
+
+  return {
+    ok,
+    ...(ok ? {} : { reason: "timeout" }),
+    waitedOn,
+    pending,
+    elapsedMs: Date.now() - start,
+    readyAtMs: readyAt,
+    ...(snapshot || {}),
+    inflight: net.inflight,
+    longPolls: net.longPolls,
+    signal,
+  };
 }
 
-function applyUrlFilters(urls, { include, exclude, limit, sameHostOnly, baseHost } = {}) {
-  let out = urls.slice();
-
-  if (sameHostOnly && baseHost) {
-    out = out.filter((u) => {
-      try {
-        return new URL(u).hostname.replace(/^www\./, "") === baseHost.replace(/^www\./, "");
-      } catch {
-        return false;
+/* -------------------------
+   STITCHED CAPTURE (tall pages)
+   --stitch=auto|always|off (default auto: pages taller than --stitch-threshold=16000 device px)
+   One screenshot per viewport-height segment, composited with sharp; fixed/sticky elements
+   are hidden after the first segment unless --stitch-keep-fixed.
+-------------------------- */
+const STITCH_MAX_SEGMENTS = 400;
+
+async function setFixedElementsHidden(page, hidden) {
+  await page.evaluate((hide) => {
+    if (!hide) {
+      for (const el of document.querySelectorAll("[data-shoot-hidden]")) {
+        el.style.visibility = el.getAttribute("data-shoot-hidden");
+        el.removeAttribute("data-shoot-hidden");
       }
-    });
+      return;
+    }
+    for (const el of document.querySelectorAll("body *")) {
+      const position = getComputedStyle(el).position;
+      if (position !== "fixed" && position !== "sticky") continue;
+      el.setAttribute("data-shoot-hidden", el.style.visibility || "");
+      el.style.setProperty("visibility", "hidden", "important");
+    }
+  }, hidden);
+}
+
+// maxHeight is in device px (like writeShot's truncation), so stop once the kept part is covered
+async function captureStitched(page, { waitMs = 250, keepFixed = false, maxHeight = 0, deviceScaleFactor = 1 } = {}) {
+  const viewportHeight = page.viewportSize().height;
+  let total = await getPageHeight(page);
+  const segments = [];
+
+  try {
+    for (let y = 0; y < total && segments.length < STITCH_MAX_SEGMENTS; y += viewportHeight) {
+      await scrollPageTo(page, y, waitMs);
+      if (segments.length === 1 && !keepFixed) await setFixedElementsHidden(page, true);
+
+      // The last segment is clamped by the browser, so ask where we really are
+      const top = await page.evaluate(() => window.scrollY);
+      segments.push({ top, buffer: await page.screenshot(screenshotOptions(page)) });
+
+      // Lazy sections can grow the page while we scroll
+      total = Math.max(total, await getPageHeight(page));
+      if (maxHeight && (y + viewportHeight) * deviceScaleFactor >= maxHeight) break;
+    }
+  } finally {
+    if (!keepFixed) await setFixedElementsHidden(page, false).catch(() => {});
+    await scrollPageTo(page, 0, 0).catch(() => {});
   }
 
-  if (include) out = out.filter((u) => u.includes(include));
-  if (exclude) out = out.filter((u) => !u.includes(exclude));
-  if (limit > 0) out = out.slice(0, limit);
+  // Screenshots are in device pixels; scroll offsets in CSS pixels
+  const first = await sharp(segments[0].buffer).metadata();
+  const scale = first.height / viewportHeight;
+  const lastSegment = segments[segments.length - 1];
+  const height = Math.round((lastSegment.top + viewportHeight) * scale);
+
+  const buffer = await sharp({
+    create: { width: first.width, height, channels: 4, background: { r: 255, g: 255, b: 255, alpha: 1 } },
+    limitInputPixels: false,
+  })
+    .composite(segments.map((seg) => ({ input: seg.buffer, top: Math.round(seg.top * scale), left: 0 })))
+    .png()
+    .toBuffer();
+
+  return { buffer, segments: segments.length };
+}
 
-  return out;
+/* -------------------------
+   DYNAMIC CONTENT FREEZING
+-------------------------- */
+const DISABLE_ANIMATIONS_CSS = `
+*, *::before, *::after {
+  animation-duration: 0s !important;
+  animation-delay: 0s !important;
+  animation-iteration-count: 1 !important;
+  transition-duration: 0s !important;
+  transition-delay: 0s !important;
+  scroll-behavior: auto !important;
+  caret-color: transparent !important;
+}`;
+
+// Seeded Math.random (mulberry32) so "random" testimonials/products repeat between runs
+function freezeRandomInitScript(seed) {
+  let a = seed >>> 0;
+  Math.random = function () {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
 }
 
-async function resolveUrlsFromArgs() {
-  // Case 1: explicit sitemap provided
-  if (sitemapArgRaw) {
-    const sitemapUrl = sitemapArgRaw.includes("sitemap.xml")
-      ? sitemapArgRaw
-      : `${sitemapArgRaw.replace(/\/$/, "")}/sitemap.xml`;
+async function installDeterminism(context) {
+  if (freezeTime) await context.clock.setFixedTime(new Date(freezeTime));
+  if (freezeRandom) await context.addInitScript(freezeRandomInitScript, 42);
+}
 
-    const baseHost = (() => {
-      try {
-        return new URL(sitemapUrl).hostname.replace(/^www\./, "");
-      } catch {
-        return null;
+function buildFreezeCss() {
+  const parts = [];
+  if (disableAnimations) parts.push(DISABLE_ANIMATIONS_CSS);
+  if (hideSelectors.length) parts.push(`${hideSelectors.join(",\n")} { visibility: hidden !important; }`);
+  if (injectCss) parts.push(injectCss);
+  return parts.join("\n");
+}
+
+async function applyFreezeStyles(page) {
+  const css = buildFreezeCss();
+  if (!css) return;
+  try {
+    await page.addStyleTag({ content: css });
+  } catch {}
+}
+
+async function pauseAllVideos(page) {
+  if (!pauseVideos) return;
+  try {
+    await page.evaluate(() => {
+      for (const video of document.querySelectorAll("video")) {
+        video.pause();
+        video.autoplay = false;
+        try {
+          video.currentTime = 0;
+        } catch {}
       }
-    })();
+    });
+  } catch {}
+}
 
-    console.log(`Fetching sitemap: ${sitemapUrl}`);
-    const found = await expandSitemap(sitemapUrl);
-    const filtered = applyUrlFilters(found, { include, exclude, limit, sameHostOnly, baseHost });
-    console.log(`Sitemap URLs queued: ${filtered.length}`);
-    return filtered;
+// Shared by the main shot and interaction-state shots
+function screenshotOptions(page) {
+  const opts = {};
+  if (maskSelectors.length) {
+    opts.mask = maskSelectors.map((sel) => page.locator(sel));
+    opts.maskColor = maskColor;
   }
+  if (disableAnimations) opts.animations = "disabled";
+  return opts;
+}
 
-  // Case 2: --urls provided
-  let urls = urlsArgRaw
-    .split(",")
-    .map((s) => s.trim())
-    .filter(Boolean);
+function determinismSummary() {
+  return {
+    mask: maskSelectors,
+    hide: hideSelectors,
+    injectCss: Boolean(injectCss),
+    disableAnimations,
+    pauseVideos,
+    freezeTime,
+    freezeRandom,
+  };
+}
 
-  // If single domain root URL, treat as sitemap mode automatically
-  if (urls.length === 1 && looksLikeDomainOnly(urls[0])) {
-    const root = urls[0].replace(/\/$/, "");
-    const sitemapUrl = `${root}/sitemap.xml`;
+/* -------------------------
+   SCREENSHOT OUTPUT (--format / --quality / --max-height / --thumbnails)
+   Playwright hands back a PNG buffer; truncation and re-encoding happen here with sharp.
+-------------------------- */
+// Encoders that cannot go taller (libwebp; libheif refuses AVIF above 16384px)
+const FORMAT_MAX_DIMENSION = { webp: 16383, avif: 16384 };
+const SHOT_ENCODERS = {
+  png: (img) => img.png(),
+  jpeg: (img) => img.flatten({ background: "#ffffff" }).jpeg({ quality: shotQuality, mozjpeg: true }),
+  webp: (img) => img.webp({ quality: shotQuality }),
+  avif: (img) => img.avif({ quality: shotQuality }),
+};
 
-    const baseHost = (() => {
-      try {
-        return new URL(root).hostname.replace(/^www\./, "");
-      } catch {
-        return null;
-      }
-    })();
+function shotFileName(base) {
+  return `${base}.${SHOT_EXTENSIONS[shotFormat]}`;
+}
 
-    console.log(`Fetching sitemap: ${sitemapUrl}`);
-    const found = await expandSitemap(sitemapUrl);
-    const filtered = applyUrlFilters(found, { include, exclude, limit, sameHostOnly, baseHost });
-    console.log(`Sitemap URLs queued: ${filtered.length}`);
-    return filtered;
+// Device px a written shot keeps: --max-height and the encoder's own limit
+function shotMaxHeight() {
+  return Math.min(maxShotHeight || Infinity, FORMAT_MAX_DIMENSION[shotFormat] || Infinity);
+}
+
+async function writeShot(pngBuffer, filePath) {
+  const meta = await sharp(pngBuffer, { limitInputPixels: false }).metadata();
+  const maxHeight = shotMaxHeight();
+  const height = Math.min(meta.height, maxHeight);
+  const info = {
+    format: shotFormat,
+    width: meta.width,
+    height,
+    fullHeight: meta.height,
+    truncated: height < meta.height,
+  };
+
+  if (shotFormat === "png" && !info.truncated) {
+    fs.writeFileSync(filePath, pngBuffer);
+  } else {
+    let img = sharp(pngBuffer, { limitInputPixels: false });
+    if (info.truncated) img = img.extract({ left: 0, top: 0, width: meta.width, height });
+    await SHOT_ENCODERS[shotFormat](img).toFile(filePath);
   }
 
-  // Otherwise, treat as explicit list
-  return urls;
+  info.bytes = fs.statSync(filePath).size;
+  return info;
 }
 
 /* -------------------------
-   PDF REVIEW PACK
+   INTERACTIONS (per-URL step lists)
+   [
+     { "match": "re:/products/[^/]+$", "viewports": ["mobile"], "steps": [
+       { "click": "button.menu-toggle" },
+       { "screenshot": "menu-open", "fullPage": false },
+       { "hover": "nav .mega" },
+       { "fill": "#postcode", "value": "SW1A 1AA" },
+       { "press": "Enter", "selector": "#postcode" },
+       { "wait": 500 }, { "wait": ".results" },
+       { "scrollTo": "#reviews" },
+       { "eval": "localStorage.setItem('currency', 'GBP')" }
+     ] }
+   ]
+   "match" is a URL pattern (see compileUrlPattern). Runs after navigation,
+   before the stability gate; each step's outcome goes into the stability JSON.
 -------------------------- */
-const PDF_PAGE = { width: 595.28, height: 841.89, margin: 36 };
-const PDF_MAX_IMAGE_WIDTH_PX = 1200;
-const PDF_TITLE_SIZE = 16;
-const PDF_LABEL_SIZE = 12;
-const PDF_TEXT_SIZE = 10;
-const PDF_LINE_HEIGHT = 12;
+const INTERACTION_STEP_TIMEOUT_MS = 5000;
 
-function newPdfPage(pdfDoc) {
-  return pdfDoc.addPage([PDF_PAGE.width, PDF_PAGE.height]);
+function getInteractionSteps(url, vpName) {
+  return interactionRules
+    .filter((rule) => !rule.match || compileUrlPattern(rule.match, { regexLiterals: true })(url))
+    .filter((rule) => !rule.viewports || rule.viewports.includes(vpName))
+    .flatMap((rule) => rule.steps || []);
 }
 
-function wrapText(text, font, size, maxWidth) {
-  const words = String(text).split(/\s+/);
-  const lines = [];
-  let line = "";
+async function runInteractionStep(page, step, { pageDir, pageName, vpName }) {
+  const timeout = step.timeout || INTERACTION_STEP_TIMEOUT_MS;
 
-  for (const word of words) {
-    const testLine = line ? `${line} ${word}` : word;
-    const testWidth = font.widthOfTextAtSize(testLine, size);
-    if (testWidth <= maxWidth) {
-      line = testLine;
-      continue;
+  if (step.click) return page.click(step.click, { timeout });
+  if (step.hover) return page.hover(step.hover, { timeout });
+  if (step.fill) return page.fill(step.fill, String(step.value ?? ""), { timeout });
+  if (step.press) {
+    if (step.selector) return page.press(step.selector, step.press, { timeout });
+    return page.keyboard.press(step.press);
+  }
+  if (step.scrollTo) {
+    const el = await page.waitForSelector(step.scrollTo, { timeout, state: "attached" });
+    return el.scrollIntoViewIfNeeded({ timeout });
+  }
+  if (step.wait !== undefined) {
+    if (typeof step.wait === "number") return page.waitForTimeout(step.wait);
+    return page.waitForSelector(step.wait, { timeout, state: "visible" });
+  }
+  if (step.eval) return page.evaluate(step.eval);
+  if (step.screenshot) {
+    const fileName = shotFileName(`${vpName}__${safeName(step.screenshot)}`);
+    await pauseAllVideos(page);
+    const buffer = await page.screenshot({ fullPage: step.fullPage !== false, ...screenshotOptions(page) });
+    await writeShot(buffer, path.join(pageDir, fileName));
+    return { label: step.screenshot, path: `${pageName}/${fileName}` };
+  }
+
+  throw new Error(`Unknown interaction step: ${JSON.stringify(step)}`);
+}
+
+// Runs every matching step (a failing step is logged, the rest still run)
+async function runInteractions(page, url, target) {
+  const log = [];
+  const states = [];
+
+  for (const step of getInteractionSteps(url, target.vpName)) {
+    const start = Date.now();
+    try {
+      const result = await runInteractionStep(page, step, target);
+      if (step.screenshot && result) states.push(result);
+      log.push({ step, ok: true, ms: Date.now() - start });
+    } catch (e) {
+      log.push({ step, ok: false, error: String(e), ms: Date.now() - start });
     }
+  }
 
-    if (line) lines.push(line);
-    if (font.widthOfTextAtSize(word, size) <= maxWidth) {
-      line = word;
-    } else {
-      let chunk = "";
-      for (const ch of word) {
-        const chunkTest = chunk + ch;
-        if (font.widthOfTextAtSize(chunkTest, size) > maxWidth && chunk) {
-          lines.push(chunk);
-          chunk = ch;
-        } else {
-          chunk = chunkTest;
-        }
+  return { log, states };
+}
+
+/* -------------------------
+   EXTRA SHOTS (--elements / --above-the-fold / --clip)
+   Saved next to the full-page shot as <pageName>/<viewport>__<label>.<ext>:
+     --elements="header=header;headings=h1, h2"   (";"-separated label=selector; first match)
+     --above-the-fold                             (viewport only, scrolled to top)
+     --clip="0,0,1280,600"                        (x,y,width,height in page px)
+-------------------------- */
+function parseElementShots(value) {
+  if (!value) return [];
+  if (typeof value === "object" && !Array.isArray(value)) {
+    return Object.entries(value).map(([label, selector]) => ({ label, selector: String(selector) }));
+  }
+
+  const items = Array.isArray(value) ? value.map(String) : String(value).split(";");
+  return items
+    .map((item) => item.trim())
+    .filter(Boolean)
+    .map((item) => {
+      // "label=selector"; a bare selector (or one like [data-x="1"]) is its own label
+      const m = item.match(/^([\w-]+)=(.+)$/);
+      if (m && /,\s*[\w-]+=/.test(m[2])) {
+        console.log(`--elements: separate entries with ";" (got "${item}")`);
+        process.exit(1);
       }
-      line = chunk;
+      return m ? { label: m[1], selector: m[2].trim() } : { label: safeName(item), selector: item };
+    });
+}
+
+// Extra shots and interaction screenshots share the <viewport>__<label> file namespace (and
+// "diff" belongs to --compare-to): a clash would silently overwrite one shot with another
+function checkShotLabels() {
+  const owners = new Map([["diff", "visual diff images"]]);
+  for (const step of interactionRules.flatMap((rule) => rule.steps || [])) {
+    if (step.screenshot) owners.set(safeName(step.screenshot), `interaction screenshot "${step.screenshot}"`);
+  }
+
+  const labels = [
+    ...(aboveTheFold ? ["above-the-fold"] : []),
+    ...(clipRect ? ["clip"] : []),
+    ...elementShots.map((shot) => shot.label),
+  ];
+  for (const label of labels) {
+    const key = safeName(label);
+    if (owners.has(key)) {
+      console.log(`Shot label "${label}" clashes with ${owners.get(key)} (both would write <viewport>__${key})`);
+      process.exit(1);
     }
+    owners.set(key, `extra shot "${label}"`);
   }
-  if (line) lines.push(line);
-  return lines;
 }
 
-function drawWrappedText(pdfDoc, page, lines, { x, y, maxWidth, font, size, lineHeight }) {
-  let curPage = page;
-  let curY = y;
+function parseClipRect(value) {
+  if (!value) return null;
+  const [x, y, width, height] = String(value).split(",").map(Number);
+  if (![x, y, width, height].every(Number.isFinite) || width <= 0 || height <= 0) {
+    console.log(`Invalid --clip "${value}" (expected x,y,width,height)`);
+    process.exit(1);
+  }
+  return { x, y, width, height };
+}
 
-  for (const line of lines) {
-    const wrapped = wrapText(line, font, size, maxWidth);
-    for (const wrappedLine of wrapped) {
-      if (curY - lineHeight < PDF_PAGE.margin) {
-        curPage = newPdfPage(pdfDoc);
-        curY = PDF_PAGE.height - PDF_PAGE.margin;
-      }
-      curY -= lineHeight;
-      curPage.drawText(wrappedLine, { x, y: curY, size, font, color: rgb(0, 0, 0) });
+async function captureExtraShots(page, { pageDir, pageName, vpName }) {
+  const shots = [];
+  const save = async (shot, take) => {
+    const fileName = shotFileName(`${vpName}__${safeName(shot.label)}`);
+    try {
+      await writeShot(await take(), path.join(pageDir, fileName));
+      shots.push({ ...shot, path: `${pageName}/${fileName}` });
+    } catch (e) {
+      shots.push({ ...shot, path: null, error: String(e).split("\n")[0] });
     }
+  };
+
+  if (aboveTheFold) {
+    await scrollPageTo(page, 0, 0).catch(() => {});
+    await save({ label: "above-the-fold", kind: "fold" }, () => page.screenshot(screenshotOptions(page)));
   }
 
-  return { page: curPage, y: curY };
+  if (clipRect) {
+    await save({ label: "clip", kind: "clip", clip: clipRect }, () =>
+      page.screenshot({ fullPage: true, clip: clipRect, ...screenshotOptions(page) })
+    );
+  }
+
+  for (const { label, selector } of elementShots) {
+    await save({ label, kind: "element", selector }, async () => {
+      const target = page.locator(selector).first();
+      if (!(await target.count())) throw new Error(`No element matches ${selector}`);
+      return target.screenshot({ timeout: INTERACTION_STEP_TIMEOUT_MS, ...screenshotOptions(page) });
+    });
+  }
+
+  return shots;
 }
 
-function readLines(filePath, maxLines) {
-  if (!filePath || !fs.existsSync(filePath)) return null;
-  const content = fs.readFileSync(filePath, "utf8");
-  const lines = content.split(/\r?\n/).slice(0, maxLines);
-  return lines;
+/* -------------------------
+   ACCESSIBILITY AUDIT (--a11y)
+   axe-core is injected from node_modules (no network). Runs after the final screenshot,
+   so the audit never changes what was captured. Violations go to logs/<page>__<vp>__a11y.json.
+-------------------------- */
+const A11Y_IMPACTS = ["critical", "serious", "moderate", "minor"];
+const A11Y_NODE_HTML_MAX = 300;
+
+let axeSource = null;
+function getAxeSource() {
+  if (!axeSource) axeSource = require("axe-core").source;
+  return axeSource;
 }
 
-function summarizeStability(filePath) {
+function countByImpact(violations) {
+  const counts = Object.fromEntries(A11Y_IMPACTS.map((impact) => [impact, 0]));
+  for (const v of violations) {
+    if (v.impact in counts) counts[v.impact] += 1;
+  }
+  counts.total = violations.length;
+  return counts;
+}
+
+async function runA11yAudit(page, { tags = [] } = {}) {
+  if (!(await page.evaluate(() => Boolean(window.axe)))) {
+    await page.evaluate(getAxeSource());
+  }
+
+  const results = await page.evaluate(
+    async ({ tags, htmlMax }) => {
+      const options = { resultTypes: ["violations"] };
+      if (tags.length) options.runOnly = { type: "tag", values: tags };
+      const r = await window.axe.run(document, options);
+      return {
+        engine: `axe-core ${window.axe.version}`,
+        violations: r.violations.map((v) => ({
+          id: v.id,
+          impact: v.impact,
+          help: v.help,
+          helpUrl: v.helpUrl,
+          tags: v.tags,
+          nodes: v.nodes.map((n) => ({
+            target: n.target,
+            html: n.html.length > htmlMax ? `${n.html.slice(0, htmlMax)}…` : n.html,
+            failureSummary: n.failureSummary,
+          })),
+        })),
+        passes: r.passes.length,
+        incomplete: r.incomplete.length,
+      };
+    },
+    { tags, htmlMax: A11Y_NODE_HTML_MAX }
+  );
+
+  return { ...results, counts: countByImpact(results.violations) };
+}
+
+// "2 critical, 5 serious (9 violations)" for the PDF/HTML logs
+function summarizeA11y(filePath) {
   if (!filePath || !fs.existsSync(filePath)) return null;
   try {
     const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
-    const st = data.stability || data;
-    const status = st && st.ok ? "ok" : "timeout";
-    const extras = [];
-    if (typeof st?.pendingImgs === "number") extras.push(`pendingImgs=${st.pendingImgs}`);
-    if (typeof st?.domSize === "number") extras.push(`domSize=${st.domSize}`);
-    return extras.length ? `${status} (${extras.join(", ")})` : status;
+    if (data.error) return { summary: `audit failed: ${data.error}`, violations: [] };
+    const counts = data.counts || countByImpact(data.violations || []);
+    const parts = A11Y_IMPACTS.filter((impact) => counts[impact]).map((impact) => `${counts[impact]} ${impact}`);
+    const summary = counts.total ? `${parts.join(", ")} (${counts.total} violations)` : "no violations";
+    const violations = (data.violations || []).map(
+      (v) => `[${v.impact || "n/a"}] ${v.id}: ${v.help} (${v.nodes.length} element${v.nodes.length === 1 ? "" : "s"})`
+    );
+    return { summary, violations };
   } catch {
-    return "invalid stability json";
+    return { summary: "invalid a11y json", violations: [] };
   }
 }
 
-function buildLogsLines(pageName, logsDir) {
-  const lines = [];
-  let hasAny = false;
-  const viewports = ["desktop", "mobile"];
-  const logTypes = [
-    { label: "Console errors", suffix: "__console-errors.txt" },
-    { label: "Request failures", suffix: "__request-failures.txt" },
-  ];
+/* -------------------------
+   PERFORMANCE METRICS
+   Web Vitals are read right after load; resource weight covers the whole capture.
+-------------------------- */
+const PERF_LARGEST_ASSETS = 5;
+
+// WebKit and Firefox lack some entry types (layout-shift, longtask): those metrics stay null, not 0
+function perfObserverInitScript() {
+  const supported = (typeof PerformanceObserver !== "undefined" && PerformanceObserver.supportedEntryTypes) || [];
+  const has = (type) => supported.includes(type);
+  const perf = {
+    lcp: null,
+    cls: has("layout-shift") ? 0 : null,
+    longTasks: has("longtask") ? 0 : null,
+    tbt: has("longtask") ? 0 : null,
+  };
+  window.__shootPerf = perf;
+  const observe = (type, onEntry) => {
+    if (!has(type)) return;
+    try {
+      new PerformanceObserver((list) => list.getEntries().forEach(onEntry)).observe({ type, buffered: true });
+    } catch {}
+  };
+  observe("largest-contentful-paint", (e) => (perf.lcp = e.startTime));
+  observe("layout-shift", (e) => {
+    if (!e.hadRecentInput) perf.cls += e.value;
+  });
+  // TBT-style total: the part of each long task above 50ms
+  observe("longtask", (e) => {
+    perf.longTasks += 1;
+    perf.tbt += Math.max(0, e.duration - 50);
+  });
+}
 
-  for (const type of logTypes) {
-    for (const vp of viewports) {
-      const filePath = path.join(logsDir, `${pageName}__${vp}${type.suffix}`);
-      const contentLines = readLines(filePath, 20);
-      if (contentLines) {
-        hasAny = true;
-        lines.push(`${type.label} (${vp}):`);
-        lines.push(...(contentLines.length ? contentLines : ["(none)"]));
-      }
+async function readWebVitals(page) {
+  return page
+    .evaluate(() => {
+      const round = (n) => (typeof n === "number" ? Math.round(n) : null);
+      const nav = performance.getEntriesByType("navigation")[0];
+      const fcp = performance.getEntriesByName("first-contentful-paint")[0];
+      const perf = window.__shootPerf || {};
+      return {
+        ttfbMs: round(nav?.responseStart),
+        domContentLoadedMs: round(nav?.domContentLoadedEventEnd),
+        loadMs: round(nav?.loadEventEnd) || null, // 0 = load not fired yet (readiness doesn't wait for it)
+        fcpMs: round(fcp?.startTime),
+        lcpMs: round(perf.lcp),
+        cls: typeof perf.cls === "number" ? Math.round(perf.cls * 1000) / 1000 : null,
+        longTasks: perf.longTasks ?? null,
+        tbtMs: round(perf.tbt),
+      };
+    })
+    .catch(() => null);
+}
+
+// Starts counting immediately; call the returned function once the capture is done
+function trackResourceWeight(page) {
+  let requests = 0;
+  const finished = [];
+
+  page.on("request", () => {
+    requests += 1;
+  });
+  page.on("requestfinished", (req) => {
+    finished.push(
+      req
+        .sizes()
+        .then((sizes) => ({
+          url: req.url(),
+          type: req.resourceType(),
+          bytes: sizes.responseBodySize + sizes.responseHeadersSize,
+        }))
+        .catch(() => null)
+    );
+  });
+
+  return async () => {
+    const assets = (await Promise.all(finished)).filter(Boolean);
+    const byType = {};
+    let totalBytes = 0;
+    for (const asset of assets) {
+      byType[asset.type] = byType[asset.type] || { count: 0, bytes: 0 };
+      byType[asset.type].count += 1;
+      byType[asset.type].bytes += asset.bytes;
+      totalBytes += asset.bytes;
     }
-  }
+    const largest = assets.sort((a, b) => b.bytes - a.bytes).slice(0, PERF_LARGEST_ASSETS);
+    return { requests, finished: assets.length, totalBytes, byType, largest };
+  };
+}
 
-  for (const vp of viewports) {
-    const filePath = path.join(logsDir, `${pageName}__${vp}__stability.json`);
-    const summary = summarizeStability(filePath);
-    if (summary) {
-      hasAny = true;
-      lines.push(`Stability (${vp}): ${summary}`);
+function formatBytes(bytes) {
+  if (typeof bytes !== "number") return "-";
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+}
+
+function formatMs(ms) {
+  return typeof ms === "number" ? `${ms} ms` : "-";
+}
+
+// One row per page/viewport for the PDF/HTML summary tables (reads each stability JSON)
+function readPerfRows(absRunDir, pages, viewportNames) {
+  const logsDir = path.join(absRunDir, "logs");
+  const rows = [];
+  for (const pageInfo of pages) {
+    for (const vpName of viewportNames) {
+      const perf = readStabilityJson(logsDir, pageInfo.name, vpName)?.perf;
+      if (!perf) continue;
+      const vitals = perf.vitals || {};
+      rows.push({
+        page: pageInfo.name,
+        viewport: vpName,
+        cells: [
+          formatMs(vitals.ttfbMs),
+          formatMs(vitals.fcpMs),
+          formatMs(vitals.lcpMs),
+          vitals.cls ?? "-",
+          formatMs(vitals.tbtMs),
+          String(perf.resources?.requests ?? "-"),
+          formatBytes(perf.resources?.totalBytes),
+        ].map(String),
+      });
     }
   }
+  return rows;
+}
 
-  return { lines, hasAny };
+const PERF_COLUMNS = ["TTFB", "FCP", "LCP", "CLS", "TBT", "Requests", "Weight"];
+
+/* -------------------------
+   LINK CHECK (--check-links)
+   Subresources answering >= 400, plus the page's <a href> targets (HEAD, GET fallback;
+   each URL checked once per run, logout / add-to-cart links skipped).
+-------------------------- */
+const linkCheckCache = new Map(); // url → Promise<{ status, error }>
+const linkCheckQueue = [];
+let linkChecksActive = 0;
+
+function withLinkCheckSlot(fn) {
+  return new Promise((resolve, reject) => {
+    const run = () => {
+      linkChecksActive += 1;
+      fn()
+        .then(resolve, reject)
+        .finally(() => {
+          linkChecksActive -= 1;
+          const next = linkCheckQueue.shift();
+          if (next) next();
+        });
+    };
+    if (linkChecksActive < linkCheckConcurrency) run();
+    else linkCheckQueue.push(run);
+  });
 }
 
-function resolveImagePath(runDir, relPath, pageName, fileName) {
-  if (relPath) return path.isAbsolute(relPath) ? relPath : path.join(runDir, relPath);
-  if (pageName && fileName) return path.join(runDir, pageName, fileName);
-  return null;
+// Following these would end the session or change the cart for every later capture
+const LINK_CHECK_SKIP = /(^|[^a-z])(log-?out|sign-?out|log-?off)|[?&](add-to-cart|remove_item|empty-cart)=/i;
+
+function linkCheckHeaders(url, origins) {
+  if (!origins.includes(new URL(url).origin)) return {};
+  const headers = { ...extraHeaders };
+  if (httpCredentials) {
+    const token = Buffer.from(`${httpCredentials.username}:${httpCredentials.password}`).toString("base64");
+    headers.authorization = `Basic ${token}`;
+  }
+  return headers;
 }
 
-function drawSectionLabel(pdfDoc, page, y, label, font) {
-  const x = PDF_PAGE.margin;
-  const lineHeight = PDF_LABEL_SIZE + 4;
-  let curPage = page;
-  let curY = y;
+async function requestStatus(request, url, method, origins) {
+  const res = await request.fetch(url, {
+    method,
+    headers: linkCheckHeaders(url, origins),
+    timeout: linkCheckTimeoutMs,
+    failOnStatusCode: false,
+  });
+  const status = res.status();
+  await res.dispose().catch(() => {});
+  return status;
+}
 
-  if (curY - lineHeight < PDF_PAGE.margin) {
-    curPage = newPdfPage(pdfDoc);
-    curY = PDF_PAGE.height - PDF_PAGE.margin;
+// Some servers reject HEAD (405/501, or 403/404 from naive routing): confirm with GET before calling it broken
+function checkLink(request, url, origins) {
+  if (!linkCheckCache.has(url)) {
+    const check = withLinkCheckSlot(async () => {
+      try {
+        let status = await requestStatus(request, url, "HEAD", origins);
+        if (status >= 400) status = await requestStatus(request, url, "GET", origins);
+        return { status, error: null };
+      } catch (e) {
+        return { status: null, error: String(e).split("\n")[0] };
+      }
+    });
+    linkCheckCache.set(url, check);
+  }
+  return linkCheckCache.get(url);
+}
+
+// Records subresource responses >= 400 while the page loads (the main document is in "response")
+function trackBrokenAssets(page) {
+  const broken = [];
+  page.on("response", (res) => {
+    const req = res.request();
+    if (res.status() < 400 || (req.isNavigationRequest() && req.frame() === page.mainFrame())) return;
+    broken.push({ kind: "asset", status: res.status(), target: res.url(), detail: req.resourceType(), error: null });
+  });
+  return broken;
+}
+
+// Responses may set cookies: they land in a disposable context, not the one still capturing
+async function checkPageLinks(page, origins) {
+  const anchors = await page
+    .$$eval("a[href]", (els) => els.map((a) => ({ href: a.href, text: (a.textContent || "").trim().slice(0, 80) })))
+    .catch(() => []);
+
+  const byUrl = new Map();
+  let skipped = 0;
+  for (const { href, text } of anchors) {
+    try {
+      const u = new URL(href);
+      if (u.protocol !== "http:" && u.protocol !== "https:") continue;
+      u.hash = "";
+      if (LINK_CHECK_SKIP.test(u.pathname + u.search)) skipped += 1;
+      else if (!byUrl.has(u.href)) byUrl.set(u.href, text);
+    } catch {}
+  }
+
+  const request = await apiRequest.newContext({ storageState: await page.context().storageState() });
+  let results;
+  try {
+    results = await Promise.all(
+      [...byUrl].map(async ([url, text]) => ({ url, text, ...(await checkLink(request, url, origins)) }))
+    );
+  } finally {
+    await request.dispose().catch(() => {});
+  }
+  const broken = results
+    .filter((r) => r.error || r.status >= 400)
+    .map((r) => ({ kind: "link", status: r.status, target: r.url, detail: r.text, error: r.error }));
+  return { checked: results.length, skipped, broken };
+}
+
+function brokenLinkLine(entry) {
+  const status = entry.status ?? "ERR";
+  const detail = entry.detail ? ` (${entry.kind === "link" ? `"${entry.detail}"` : entry.detail})` : "";
+  return `${entry.kind} ${status} ${entry.target}${detail}${entry.error ? ` :: ${entry.error}` : ""}`;
+}
+
+function csvCell(value) {
+  const str = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// broken-links.csv for the whole run, from the "links" block of each stability JSON
+function writeBrokenLinksCsv(runDir, { pagesOverride = null, viewportsOverride = null } = {}) {
+  const absRunDir = resolveRunDir(runDir);
+  const { pages, runViewports } = loadRunPages(absRunDir, { pagesOverride, viewportsOverride });
+  const logsDir = path.join(absRunDir, "logs");
+  const rows = [["page", "page_url", "viewport", "kind", "status", "target", "detail", "error"]];
+
+  for (const pageInfo of pages) {
+    for (const vp of runViewports) {
+      const vpName = typeof vp === "string" ? vp : vp.name;
+      const links = readStabilityJson(logsDir, pageInfo.name, vpName)?.links;
+      for (const entry of links?.broken || []) {
+        rows.push([
+          pageInfo.name,
+          pageInfo.url,
+          vpName,
+          entry.kind,
+          entry.status,
+          entry.target,
+          entry.detail,
+          entry.error,
+        ]);
+      }
+    }
   }
 
-  curY -= lineHeight;
-  curPage.drawText(label, { x, y: curY, size: PDF_LABEL_SIZE, font, color: rgb(0, 0, 0) });
-  curY -= 6;
-  return { page: curPage, y: curY };
+  const outPath = path.join(absRunDir, "broken-links.csv");
+  fs.writeFileSync(outPath, rows.map((row) => row.map(csvCell).join(",")).join("\n") + "\n", "utf8");
+  console.log(`✔ Broken links saved → ${outPath} (${rows.length - 1} rows)`);
+}
+
+/* -------------------------
+   SITEMAP SUPPORT
+-------------------------- */
+// { raw: true } returns the body as a Buffer instead of text
+async function fetchText(url, { raw = false } = {}) {
+  if (typeof fetch !== "function") {
+    throw new Error("Global fetch not available. Use Node 18+.");
+  }
+  const res = await fetch(url, {
+    redirect: "follow",
+    headers: {
+      "user-agent": "ou-screenshot/1.0 (playwright)",
+      accept: "application/xml,text/xml,application/gzip,text/plain,*/*",
+    },
+  });
+  if (!res.ok) throw new Error(`Fetch failed ${res.status} for ${url}`);
+  return raw ? Buffer.from(await res.arrayBuffer()) : await res.text();
+}
+
+// Raw sitemap body; .xml.gz files are served as-is (not Content-Encoding), so gunzip by magic bytes
+async function fetchSitemapXml(url) {
+  const buf = await fetchText(url, { raw: true });
+  const gzipped = buf.length > 2 && buf[0] === 0x1f && buf[1] === 0x8b;
+  return (gzipped ? zlib.gunzipSync(buf) : buf).toString("utf8");
+}
+
+function readXmlTag(body, name) {
+  const m = body.match(new RegExp(`<(?:\\w+:)?${name}\\b[^>]*>([\\s\\S]*?)</(?:\\w+:)?${name}>`, "i"));
+  if (!m) return null;
+  const value = m[1].replace(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/, "$1").trim();
+  return decodeXmlEntities(value) || null;
+}
+
+function readXmlAttrs(tag) {
+  const attrs = {};
+  for (const m of tag.matchAll(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+    attrs[m[1].toLowerCase()] = decodeXmlEntities(m[2] ?? m[3] ?? "");
+  }
+  return attrs;
+}
+
+// <urlset> → page entries, <sitemapindex> → child sitemap entries
+function parseSitemap(xml) {
+  const isIndex = /<(?:\w+:)?sitemapindex\b/i.test(xml);
+  const tag = isIndex ? "sitemap" : "url";
+  const blockRe = new RegExp(`<(?:\\w+:)?${tag}\\b[^>]*>([\\s\\S]*?)</(?:\\w+:)?${tag}>`, "gi");
+  const entries = [];
+
+  for (const m of xml.matchAll(blockRe)) {
+    const body = m[1];
+    const loc = readXmlTag(body, "loc");
+    if (!loc) continue;
+
+    const alternates = [];
+    for (const link of body.matchAll(/<(?:\w+:)?link\b[^>]*>/gi)) {
+      const attrs = readXmlAttrs(link[0]);
+      if (attrs.rel === "alternate" && attrs.href) {
+        alternates.push({ hreflang: attrs.hreflang || null, href: attrs.href });
+      }
+    }
+
+    entries.push({ loc, lastmod: readXmlTag(body, "lastmod"), alternates });
+  }
+
+  return { isIndex, entries };
+}
+
+function isModifiedSince(lastmod, since) {
+  if (!since || !lastmod) return true; // no lastmod → can't tell, keep it
+  const d = new Date(lastmod);
+  return Number.isNaN(d.getTime()) || d >= since;
+}
+
+function looksLikeSitemapUrl(u) {
+  return /\.xml(\.gz)?$/i.test(u.split("?")[0]);
+}
+
+// Recursively expands sitemap indexes (any depth, cycle-safe). Options:
+//   since      Date; drops entries (and whole child sitemaps) with an older <lastmod>
+//   hreflang   true for every xhtml:link alternate, or a list of locales to add
+async function expandSitemap(sitemapUrl, { since = null, hreflang = null, visited = new Set() } = {}) {
+  if (visited.has(sitemapUrl)) return [];
+  visited.add(sitemapUrl);
+
+  const { isIndex, entries } = parseSitemap(await fetchSitemapXml(sitemapUrl));
+  const out = [];
+
+  for (const entry of entries) {
+    if (!isModifiedSince(entry.lastmod, since)) continue;
+
+    // Index children are sitemaps whatever their URL looks like (.xml.gz, ?sitemap=1, ...)
+    if (isIndex || looksLikeSitemapUrl(entry.loc)) {
+      try {
+        out.push(...(await expandSitemap(entry.loc, { since, hreflang, visited })));
+      } catch (e) {
+        console.log(`  Skipping child sitemap ${entry.loc}: ${e.message}`);
+      }
+      continue;
+    }
+
+    out.push(entry.loc);
+
+    if (hreflang) {
+      for (const alt of entry.alternates) {
+        const locale = String(alt.hreflang || "").toLowerCase();
+        if (hreflang === true || hreflang.includes(locale)) out.push(alt.href);
+      }
+    }
+  }
+
+  return Array.from(new Set(out));
+}
+
+function applyUrlFilters(urls, { include, exclude, limit, sameHostOnly, baseHost } = {}) {
+  let out = urls.slice();
+
+  if (sameHostOnly && baseHost) {
+    out = out.filter((u) => {
+      try {
+        return new URL(u).hostname.replace(/^www\./, "") === baseHost.replace(/^www\./, "");
+      } catch {
+        return false;
+      }
+    });
+  }
+
+  if (include) out = out.filter((u) => u.includes(include));
+  if (exclude) out = out.filter((u) => !u.includes(exclude));
+  if (limit > 0) out = out.slice(0, limit);
+
+  return out;
+}
+
+/* -------------------------
+   ROBOTS.TXT + LINK CRAWLER (--crawl)
+-------------------------- */
+const ROBOTS_AGENT = "ou-screenshot";
+const CRAWL_SKIP_EXTENSIONS =
+  /\.(pdf|jpe?g|png|gif|webp|avif|svg|ico|zip|gz|mp4|webm|mov|mp3|wav|docx?|xlsx?|pptx?|csv|xml|json|txt|ics|css|js)$/i;
+
+function parseRobots(txt) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const raw of String(txt).split(/\r?\n/)) {
+    const line = raw.replace(/#.*/, "").trim();
+    const sep = line.indexOf(":");
+    if (sep < 0) continue;
+
+    const key = line.slice(0, sep).trim().toLowerCase();
+    const value = line.slice(sep + 1).trim();
+
+    if (key === "sitemap") {
+      if (value) sitemaps.push(value);
+      continue;
+    }
+
+    if (key === "user-agent") {
+      // Consecutive user-agent lines share one group
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+      // An empty token would match every agent through ROBOTS_AGENT.includes("")
+      if (value) current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    // An empty Disallow means "allow everything", so it adds no rule
+    if (current && (key === "allow" || key === "disallow") && value) {
+      current.rules.push({ allow: key === "allow", path: value });
+    }
+  }
+
+  const group =
+    groups.find((g) => g.agents.some((a) => a !== "*" && ROBOTS_AGENT.includes(a))) ||
+    groups.find((g) => g.agents.includes("*"));
+
+  return { sitemaps, rules: group ? group.rules : [] };
+}
+
+// Longest matching rule wins; on a tie Allow wins (Google's interpretation)
+function isAllowedByRobots(robots, url) {
+  if (!robots || !robots.rules.length) return true;
+
+  let target;
+  try {
+    const u = new URL(url);
+    target = u.pathname + u.search;
+  } catch {
+    return false;
+  }
+
+  let best = null;
+  for (const rule of robots.rules) {
+    const anchored = rule.path.endsWith("$");
+    const source = (anchored ? rule.path.slice(0, -1) : rule.path)
+      .split("*")
+      .map((s) => s.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+      .join(".*");
+    if (!new RegExp(`^${source}${anchored ? "$" : ""}`).test(target)) continue;
+
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  }
+
+  return best ? best.allow : true;
+}
+
+async function fetchRobots(root) {
+  try {
+    return parseRobots(await fetchText(`${root}/robots.txt`));
+  } catch {
+    return { sitemaps: [], rules: [] };
+  }
+}
+
+// Crawl URLs are compared without query strings or fragments
+function normalizeCrawlUrl(href, baseUrl) {
+  try {
+    const u = new URL(href, baseUrl);
+    if (u.protocol !== "http:" && u.protocol !== "https:") return null;
+    u.hash = "";
+    u.search = "";
+    if (u.pathname.length > 1) u.pathname = u.pathname.replace(/\/+$/, "");
+    return u.toString();
+  } catch {
+    return null;
+  }
+}
+
+function extractLinks(html) {
+  const links = [];
+  const re = /<a\b[^>]*?\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi;
+  for (const m of String(html).matchAll(re)) {
+    links.push(decodeXmlEntities(m[1] ?? m[2] ?? m[3] ?? ""));
+  }
+  return links;
+}
+
+// Breadth-first crawl of same-host <a href> links (fetch only, no JS rendering).
+// --include/--exclude/--limit filter what gets queued; every page is still
+// followed so e.g. --include="/products/" can be reached via collection pages.
+async function crawlSite(rootUrl, { maxDepth = 2, maxPages = 200, robots = null } = {}) {
+  const baseHost = new URL(rootUrl).hostname.replace(/^www\./, "");
+  const start = normalizeCrawlUrl(rootUrl);
+  const seen = new Set([start]);
+  const queue = [{ url: start, depth: 0 }];
+  const found = [];
+  const foundSet = new Set();
+  const isSameHost = (u) => new URL(u).hostname.replace(/^www\./, "") === baseHost;
+  let fetched = 0;
+
+  while (queue.length && fetched < maxPages) {
+    const { url, depth } = queue.shift();
+    if (!isAllowedByRobots(robots, url)) continue;
+
+    let html;
+    let finalUrl = url;
+    try {
+      const res = await fetch(url, {
+        redirect: "follow",
+        headers: { "user-agent": "ou-screenshot/1.0 (playwright)", accept: "text/html,*/*" },
+      });
+      fetched += 1;
+      if (!res.ok || !String(res.headers.get("content-type") || "").includes("text/html")) continue;
+      html = await res.text();
+      finalUrl = res.url || url;
+    } catch {
+      continue;
+    }
+
+    // Redirects: capture (and dedupe) the page that was actually served; an off-host
+    // redirect is neither captured nor followed
+    const target = normalizeCrawlUrl(finalUrl);
+    if (!target || !isSameHost(target)) continue;
+    seen.add(target);
+    if (target !== url && !isAllowedByRobots(robots, target)) continue;
+
+    if (!foundSet.has(target) && applyUrlFilters([target], { include, exclude }).length) {
+      foundSet.add(target);
+      found.push(target);
+      if (limit > 0 && found.length >= limit) break;
+    }
+
+    if (depth >= maxDepth) continue;
+
+    for (const href of extractLinks(html)) {
+      const next = normalizeCrawlUrl(href, finalUrl);
+      if (!next || seen.has(next) || !isSameHost(next)) continue;
+      if (CRAWL_SKIP_EXTENSIONS.test(new URL(next).pathname)) continue;
+      seen.add(next);
+      queue.push({ url: next, depth: depth + 1 });
+    }
+  }
+
+  console.log(`Crawled ${fetched} pages, ${found.length} URLs matched`);
+  return found;
+}
+
+// Domain root: /sitemap.xml, then robots.txt "Sitemap:" lines, then (with --crawl) link crawling
+async function discoverUrlsFromRoot(root) {
+  const robots = await fetchRobots(root);
+  const candidates = Array.from(new Set([`${root}/sitemap.xml`, ...robots.sitemaps]));
+
+  for (const sitemapUrl of candidates) {
+    try {
+      console.log(`Fetching sitemap: ${sitemapUrl}`);
+      const found = await expandSitemap(sitemapUrl, sitemapOptions());
+      if (found.length) return found;
+    } catch (e) {
+      console.log(`  ${e.message}`);
+    }
+  }
+
+  if (!crawlEnabled) throw new Error(`No sitemap found for ${root} (use --crawl to follow links instead)`);
+
+  console.log(`No sitemap found, crawling ${root} (depth ${crawlMaxDepth}, max ${crawlMaxPages} pages)`);
+  return crawlSite(root, {
+    maxDepth: crawlMaxDepth,
+    maxPages: crawlMaxPages,
+    robots: ignoreRobots ? null : robots,
+  });
+}
+
+function sitemapOptions() {
+  return { since: sinceDate, hreflang: hreflangLocales };
+}
+
+async function resolveUrlsFromArgs() {
+  // Case 1: explicit sitemap provided
+  if (sitemapArgRaw) {
+    const sitemapUrl = looksLikeDomainOnly(sitemapArgRaw)
+      ? `${sitemapArgRaw.replace(/\/$/, "")}/sitemap.xml`
+      : sitemapArgRaw;
+
+    const baseHost = (() => {
+      try {
+        return new URL(sitemapUrl).hostname.replace(/^www\./, "");
+      } catch {
+        return null;
+      }
+    })();
+
+    console.log(`Fetching sitemap: ${sitemapUrl}`);
+    const found = await expandSitemap(sitemapUrl, sitemapOptions());
+    const filtered = applyUrlFilters(found, { include, exclude, limit, sameHostOnly, baseHost });
+    console.log(`Sitemap URLs queued: ${filtered.length}`);
+    return filtered;
+  }
+
+  // Case 2: --urls provided
+  let urls = urlsArgRaw
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+  // If single domain root URL, treat as sitemap mode automatically (crawl fallback with --crawl)
+  if (urls.length === 1 && looksLikeDomainOnly(urls[0])) {
+    const root = urls[0].replace(/\/$/, "");
+
+    const baseHost = (() => {
+      try {
+        return new URL(root).hostname.replace(/^www\./, "");
+      } catch {
+        return null;
+      }
+    })();
+
+    const found = await discoverUrlsFromRoot(root);
+    const filtered = applyUrlFilters(found, { include, exclude, limit, sameHostOnly, baseHost });
+    console.log(`URLs queued: ${filtered.length}`);
+    return filtered;
+  }
+
+  // Otherwise, treat as explicit list
+  return urls;
+}
+
+/* -------------------------
+   RUN DIR / MANIFEST HELPERS
+-------------------------- */
+function resolveRunDir(runDir) {
+  return path.isAbsolute(runDir) ? runDir : path.join(process.cwd(), runDir);
+}
+
+function readManifest(runDir) {
+  const manifestPath = path.join(resolveRunDir(runDir), "manifest.json");
+  if (!fs.existsSync(manifestPath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function getViewportNames(manifest) {
+  if (manifest && Array.isArray(manifest.viewports) && manifest.viewports.length) {
+    return manifest.viewports.map((v) => (typeof v === "string" ? v : v.name));
+  }
+  return LEGACY_VIEWPORT_NAMES;
+}
+
+// Older manifests stored shots as pageInfo.desktop / pageInfo.mobile
+function getShotPath(pageInfo, vpName) {
+  return (pageInfo.shots && pageInfo.shots[vpName]) || pageInfo[vpName] || null;
+}
+
+function writeManifest(runDir, manifest) {
+  fs.writeFileSync(path.join(resolveRunDir(runDir), "manifest.json"), JSON.stringify(manifest, null, 2), "utf8");
+}
+
+// Pages + viewports for a run dir: overrides, then manifest.json, then a folder scan (pre-manifest runs)
+function loadRunPages(runDir, { pagesOverride = null, viewportsOverride = null } = {}) {
+  const absRunDir = resolveRunDir(runDir);
+  const manifest = readManifest(absRunDir);
+  let pages = pagesOverride;
+  let runViewports = viewportsOverride;
+
+  if (!pages && manifest && Array.isArray(manifest.pages)) {
+    pages = manifest.pages;
+  }
+  if (!runViewports && manifest && Array.isArray(manifest.viewports)) {
+    runViewports = manifest.viewports;
+  }
+
+  if (!pages) {
+    const entries = fs.readdirSync(absRunDir, { withFileTypes: true });
+    const found = new Set();
+    pages = entries
+      .filter((e) => e.isDirectory() && e.name !== "logs" && e.name !== "thumbs")
+      .map((e) => {
+        const shots = {};
+        for (const file of fs.readdirSync(path.join(absRunDir, e.name))) {
+          if (!/\.(png|jpg|webp|avif)$/.test(file) || file.includes("__")) continue;
+          const vpName = file.replace(/\.\w+$/, "");
+          shots[vpName] = `${e.name}/${file}`;
+          found.add(vpName);
+        }
+        return { name: e.name, url: null, shots };
+      })
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    if (!runViewports) {
+      runViewports = [
+        ...LEGACY_VIEWPORT_NAMES.filter((n) => found.has(n)),
+        ...[...found].filter((n) => !LEGACY_VIEWPORT_NAMES.includes(n)).sort(),
+      ];
+    }
+  }
+
+  if (!runViewports || !runViewports.length) runViewports = LEGACY_VIEWPORT_NAMES;
+
+  return { manifest, pages, runViewports };
+}
+
+/* -------------------------
+   VISUAL DIFF (--compare-to)
+-------------------------- */
+async function loadRawPadded(imagePath, width, height) {
+  const meta = await sharp(imagePath).metadata();
+  const { data } = await sharp(imagePath)
+    .ensureAlpha()
+    .extend({
+      top: 0,
+      left: 0,
+      right: width - (meta.width || 0),
+      bottom: height - (meta.height || 0),
+      background: { r: 0, g: 0, b: 0, alpha: 0 },
+    })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return data;
+}
+
+// Pixel diff of two screenshots. Size differences count as changed pixels
+// (the smaller image is padded with transparent pixels).
+async function diffImages(baselinePath, currentPath, outPath, { tolerance = 24 } = {}) {
+  const [baseMeta, curMeta] = await Promise.all([sharp(baselinePath).metadata(), sharp(currentPath).metadata()]);
+  const width = Math.max(baseMeta.width || 0, curMeta.width || 0);
+  const height = Math.max(baseMeta.height || 0, curMeta.height || 0);
+
+  const base = await loadRawPadded(baselinePath, width, height);
+  const cur = await loadRawPadded(currentPath, width, height);
+  const out = Buffer.alloc(width * height * 4);
+  let changedPixels = 0;
+
+  for (let i = 0; i < out.length; i += 4) {
+    const changed =
+      Math.abs(base[i] - cur[i]) > tolerance ||
+      Math.abs(base[i + 1] - cur[i + 1]) > tolerance ||
+      Math.abs(base[i + 2] - cur[i + 2]) > tolerance ||
+      Math.abs(base[i + 3] - cur[i + 3]) > tolerance;
+
+    if (changed) {
+      changedPixels += 1;
+      out[i] = 255;
+      out[i + 1] = 0;
+      out[i + 2] = 0;
+    } else {
+      // Faded greyscale of the current shot for context
+      const grey = Math.round(0.299 * cur[i] + 0.587 * cur[i + 1] + 0.114 * cur[i + 2]);
+      const faded = 255 - Math.round((255 - grey) * 0.25);
+      out[i] = faded;
+      out[i + 1] = faded;
+      out[i + 2] = faded;
+    }
+    out[i + 3] = 255;
+  }
+
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+  await sharp(out, { raw: { width, height, channels: 4 } }).png().toFile(outPath);
+
+  const totalPixels = width * height;
+  return {
+    width,
+    height,
+    baselineSize: { width: baseMeta.width, height: baseMeta.height },
+    currentSize: { width: curMeta.width, height: curMeta.height },
+    changedPixels,
+    totalPixels,
+    changedPct: totalPixels ? Number(((changedPixels / totalPixels) * 100).toFixed(3)) : 0,
+  };
+}
+
+function findBaselinePage(baselinePages, pageInfo) {
+  return (
+    baselinePages.find((p) => pageInfo.url && p.url === pageInfo.url) ||
+    baselinePages.find((p) => p.name === pageInfo.name) ||
+    null
+  );
+}
+
+// Compares every page/viewport of runDir against the matching manifest
+// entry in baselineDir, writes <page>/<vp>__diff.png and records results
+// in runDir/manifest.json.
+async function compareRunDirs(runDir, baselineDir, { pages = null, thresholdPct = 0.5, tolerance = 24 } = {}) {
+  const absRunDir = resolveRunDir(runDir);
+  const absBaselineDir = resolveRunDir(baselineDir);
+  const manifest = readManifest(absRunDir) || {};
+  const baselineManifest = readManifest(absBaselineDir);
+
+  if (!baselineManifest || !Array.isArray(baselineManifest.pages)) {
+    throw new Error(`No manifest.json with pages found in baseline ${absBaselineDir}`);
+  }
+
+  const runPages = pages || manifest.pages || [];
+  const viewportNames = getViewportNames(manifest);
+  const summary = { passed: 0, failed: 0, missing: 0 };
+
+  for (const pageInfo of runPages) {
+    const basePage = findBaselinePage(baselineManifest.pages, pageInfo);
+    pageInfo.diff = {};
+
+    for (const vp of viewportNames) {
+      const currentPath = resolveImagePath(absRunDir, getShotPath(pageInfo, vp), pageInfo.name, `${vp}.png`);
+      const baselinePath = basePage
+        ? resolveImagePath(absBaselineDir, getShotPath(basePage, vp), basePage.name, `${vp}.png`)
+        : null;
+
+      if (!baselinePath || !fs.existsSync(baselinePath) || !currentPath || !fs.existsSync(currentPath)) {
+        pageInfo.diff[vp] = { status: "missing", baseline: basePage ? basePage.name : null };
+        summary.missing += 1;
+        continue;
+      }
+
+      const diffRel = `${pageInfo.name}/${vp}__diff.png`;
+      try {
+        const result = await diffImages(baselinePath, currentPath, path.join(absRunDir, diffRel), { tolerance });
+        const pass = result.changedPct <= thresholdPct;
+        pageInfo.diff[vp] = { status: pass ? "pass" : "fail", ...result, image: diffRel };
+        summary[pass ? "passed" : "failed"] += 1;
+        console.log(`${pass ? "✔" : "✖"} Diff ${pageInfo.name} (${vp}): ${result.changedPct}% changed`);
+      } catch (e) {
+        pageInfo.diff[vp] = { status: "error", error: String(e) };
+        summary.failed += 1;
+      }
+    }
+  }
+
+  manifest.pages = runPages;
+  manifest.compare = {
+    baselineRunDir: path.relative(absRunDir, absBaselineDir),
+    baselineRunTs: baselineManifest.runTs || null,
+    thresholdPct,
+    tolerance,
+    ...summary,
+    ts: new Date().toISOString(),
+  };
+  writeManifest(absRunDir, manifest);
+
+  console.log(
+    `✔ Compared ${absRunDir} against ${absBaselineDir}: ${summary.passed} passed, ${summary.failed} failed, ${summary.missing} missing`
+  );
+  return manifest.compare;
+}
+
+/* -------------------------
+   RUN REPORT (report.json + junit.xml)
+   One entry per page/viewport, built from manifest.json + logs/<page>__<vp>__stability.json.
+   Checks: nav (navigation/capture failed), http (status >= 400), stability (timeout),
+   console-errors, request-failures, broken-links (--check-links), diff (--compare-to fail/error).
+-------------------------- */
+function readStabilityJson(logsDir, pageName, vpName) {
+  const filePath = path.join(logsDir, `${pageName}__${vpName}__stability.json`);
+  if (!fs.existsSync(filePath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function buildReportEntry(pageInfo, vpName, logsDir) {
+  const data = readStabilityJson(logsDir, pageInfo.name, vpName);
+  const error = (pageInfo.errors && pageInfo.errors[vpName]) || null;
+  const counts = data?.counts || {};
+  const diff = pageInfo.diff && pageInfo.diff[vpName];
+
+  const entry = {
+    viewport: vpName,
+    browser: data?.browser?.name ?? null,
+    navigation: error || data?.navigation?.ok === false ? "failed" : "ok",
+    httpStatus: data?.navigation?.status ?? null,
+    stability: data ? (data.stability?.ok ? "ok" : "timeout") : null,
+    consoleErrors: counts.consoleErrors ?? null,
+    requestFailures: counts.requestFailures ?? null,
+    durationMs: data?.durationMs ?? null,
+    ...(data?.links ? { brokenLinks: data.links.broken.length } : {}),
+    ...(diff ? { diff: { status: diff.status, changedPct: diff.changedPct ?? null } } : {}),
+    ...(error ? { error } : {}),
+  };
+
+  const checks = [];
+  if (entry.navigation === "failed") checks.push("nav");
+  if (entry.httpStatus >= 400) checks.push("http");
+  if (entry.stability === "timeout") checks.push("stability");
+  if (entry.consoleErrors > 0) checks.push("console-errors");
+  if (entry.requestFailures > 0) checks.push("request-failures");
+  if (entry.brokenLinks > 0) checks.push("broken-links");
+  if (diff && (diff.status === "fail" || diff.status === "error")) checks.push("diff");
+  entry.checks = checks;
+  return entry;
+}
+
+function escapeXml(str) {
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function failureDetail(entry, check) {
+  if (check === "nav") return `navigation failed: ${entry.error || "unknown error"}`;
+  if (check === "http") return `HTTP ${entry.httpStatus}`;
+  if (check === "stability") return "stability timeout";
+  if (check === "console-errors") return `${entry.consoleErrors} console error(s)`;
+  if (check === "request-failures") return `${entry.requestFailures} failed request(s)`;
+  if (check === "broken-links") return `${entry.brokenLinks} broken link(s)/asset(s)`;
+  if (check === "diff") return `visual diff ${entry.diff.status} (${entry.diff.changedPct ?? "?"}% changed)`;
+  return check;
+}
+
+function xmlAttrs(attrs) {
+  return Object.entries(attrs)
+    .map(([key, value]) => `${key}="${escapeXml(value)}"`)
+    .join(" ");
+}
+
+function renderJUnit(report) {
+  const seconds = (ms) => ((ms || 0) / 1000).toFixed(3);
+  const cases = [];
+  let totalMs = 0;
+
+  for (const page of report.pages) {
+    for (const entry of page.viewports) {
+      totalMs += entry.durationMs || 0;
+      const out = [
+        `url: ${page.url || "(unknown)"}`,
+        `http: ${entry.httpStatus ?? "-"}, stability: ${entry.stability ?? "-"}`,
+        `console errors: ${entry.consoleErrors ?? "-"}, request failures: ${entry.requestFailures ?? "-"}`,
+      ];
+      if (entry.checks.length) out.push(`checks: ${entry.checks.join(", ")}`);
+
+      const caseAttrs = {
+        classname: `${report.domain}.${page.name}`,
+        name: entry.viewport,
+        time: seconds(entry.durationMs),
+      };
+      cases.push(`    <testcase ${xmlAttrs(caseAttrs)}>`);
+      if (entry.failures.length) {
+        const message = entry.failures.map((c) => failureDetail(entry, c)).join("; ");
+        cases.push(`      <failure ${xmlAttrs({ type: entry.failures.join(","), message })}/>`);
+      }
+      cases.push(`      <system-out>${escapeXml(out.join("\n"))}</system-out>`);
+      cases.push("    </testcase>");
+    }
+  }
+
+  const { tests, failed } = report.summary;
+  const time = seconds(totalMs);
+  const suiteAttrs = {
+    name: report.domain,
+    timestamp: report.runTs,
+    tests,
+    failures: failed,
+    errors: 0,
+    skipped: 0,
+    time,
+  };
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites ${xmlAttrs({ name: "shoot", tests, failures: failed, time })}>`,
+    `  <testsuite ${xmlAttrs(suiteAttrs)}>`,
+    ...cases,
+    "  </testsuite>",
+    "</testsuites>",
+    "",
+  ].join("\n");
+}
+
+// Without --fail-on the report still flags navigation failures; only the exit code is opt-in
+function buildReportFromRunDir(runDir, { pagesOverride = null, viewportsOverride = null } = {}) {
+  const absRunDir = resolveRunDir(runDir);
+  const { manifest, pages, runViewports } = loadRunPages(absRunDir, { pagesOverride, viewportsOverride });
+  const logsDir = path.join(absRunDir, "logs");
+  const viewportNames = runViewports.map((v) => (typeof v === "string" ? v : v.name));
+  const gated = failOn.length ? failOn : ["nav"];
+
+  const byCheck = Object.fromEntries(REPORT_CHECKS.map((c) => [c, 0]));
+  let tests = 0;
+  let failed = 0;
+
+  const reportPages = pages.map((pageInfo) => {
+    const entries = viewportNames.map((vpName) => {
+      const entry = buildReportEntry(pageInfo, vpName, logsDir);
+      entry.failures = entry.checks.filter((c) => gated.includes(c));
+      entry.checks.forEach((c) => (byCheck[c] += 1));
+      tests += 1;
+      if (entry.failures.length) failed += 1;
+      return entry;
+    });
+    return { name: pageInfo.name, url: pageInfo.url || null, status: pageInfo.status || "ok", viewports: entries };
+  });
+
+  const report = {
+    domain: (manifest && manifest.domain) || path.basename(path.dirname(absRunDir)),
+    runTs: (manifest && manifest.runTs) || path.basename(absRunDir),
+    failOn: gated,
+    summary: { pages: reportPages.length, tests, failed, byCheck },
+    pages: reportPages,
+    ts: new Date().toISOString(),
+  };
+
+  fs.writeFileSync(path.join(absRunDir, "report.json"), JSON.stringify(report, null, 2), "utf8");
+  fs.writeFileSync(path.join(absRunDir, "junit.xml"), renderJUnit(report), "utf8");
+
+  console.log(`✔ Report saved: ${path.join(absRunDir, "report.json")} (+ junit.xml, ${failed}/${tests} failing)`);
+  return report;
+}
+
+// --fail-on: exit code 2 when any gated check fired (1 stays reserved for usage/fatal errors)
+function applyFailOn(reports) {
+  if (!failOn.length) return;
+  const failing = reports.reduce((sum, r) => sum + r.summary.failed, 0);
+  if (!failing) return;
+
+  const counts = {};
+  for (const r of reports) {
+    for (const c of failOn) counts[c] = (counts[c] || 0) + r.summary.byCheck[c];
+  }
+  const detail = Object.entries(counts)
+    .filter(([, n]) => n)
+    .map(([c, n]) => `${c}: ${n}`)
+    .join(", ");
+  console.log(`✖ --fail-on=${failOn.join(",")}: ${failing} page/viewport(s) failing (${detail})`);
+  process.exitCode = 2;
+}
+
+/* -------------------------
+   PDF REVIEW PACK
+-------------------------- */
+const PDF_PAGE = { width: 595.28, height: 841.89, margin: 36 };
+const PDF_MAX_IMAGE_WIDTH_PX = 1200;
+const PDF_TITLE_SIZE = 16;
+const PDF_LABEL_SIZE = 12;
+const PDF_TEXT_SIZE = 10;
+const PDF_LINE_HEIGHT = 12;
+
+function newPdfPage(pdfDoc) {
+  return pdfDoc.addPage([PDF_PAGE.width, PDF_PAGE.height]);
+}
+
+// Standard PDF fonts only cover WinAnsi: other characters (CJK titles, emoji in logs) would throw on draw
+const pdfCharsets = new WeakMap();
+function pdfSafeText(text, font) {
+  if (!pdfCharsets.has(font)) pdfCharsets.set(font, new Set(font.getCharacterSet()));
+  const charset = pdfCharsets.get(font);
+  return Array.from(String(text), (ch) => (charset.has(ch.codePointAt(0)) ? ch : "?")).join("");
+}
+
+function wrapText(text, font, size, maxWidth) {
+  const words = String(text)
+    .split(/\s+/)
+    .map((word) => pdfSafeText(word, font));
+  const lines = [];
+  let line = "";
+
+  for (const word of words) {
+    const testLine = line ? `${line} ${word}` : word;
+    const testWidth = font.widthOfTextAtSize(testLine, size);
+    if (testWidth <= maxWidth) {
+      line = testLine;
+      continue;
+    }
+
+    if (line) lines.push(line);
+    if (font.widthOfTextAtSize(word, size) <= maxWidth) {
+      line = word;
+    } else {
+      let chunk = "";
+      for (const ch of word) {
+        const chunkTest = chunk + ch;
+        if (font.widthOfTextAtSize(chunkTest, size) > maxWidth && chunk) {
+          lines.push(chunk);
+          chunk = ch;
+        } else {
+          chunk = chunkTest;
+        }
+      }
+      line = chunk;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+function drawWrappedText(pdfDoc, page, lines, { x, y, maxWidth, font, size, lineHeight }) {
+  let curPage = page;
+  let curY = y;
+
+  for (const line of lines) {
+    const wrapped = wrapText(line, font, size, maxWidth);
+    for (const wrappedLine of wrapped) {
+      if (curY - lineHeight < PDF_PAGE.margin) {
+        curPage = newPdfPage(pdfDoc);
+        curY = PDF_PAGE.height - PDF_PAGE.margin;
+      }
+      curY -= lineHeight;
+      curPage.drawText(wrappedLine, { x, y: curY, size, font, color: rgb(0, 0, 0) });
+    }
+  }
+
+  return { page: curPage, y: curY };
+}
+
+function readLines(filePath, maxLines) {
+  if (!filePath || !fs.existsSync(filePath)) return null;
+  const content = fs.readFileSync(filePath, "utf8");
+  const lines = content.split(/\r?\n/).slice(0, maxLines);
+  return lines;
+}
+
+function summarizeStability(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) return null;
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    const st = data.stability || data;
+    const status = st && st.ok ? "ok" : "timeout";
+    const extras = [];
+    if (st?.waitedOn) extras.push(`waited on ${st.waitedOn}`);
+    if (typeof st?.pendingImgs === "number") extras.push(`pendingImgs=${st.pendingImgs}`);
+    if (typeof st?.domSize === "number") extras.push(`domSize=${st.domSize}`);
+    return extras.length ? `${status} (${extras.join(", ")})` : status;
+  } catch {
+    return "invalid stability json";
+  }
+}
+
+function buildLogsLines(pageName, logsDir, viewportNames = LEGACY_VIEWPORT_NAMES) {
+  const lines = [];
+  let hasAny = false;
+  const logTypes = [
+    { label: "Console errors", suffix: "__console-errors.txt" },
+    { label: "Request failures", suffix: "__request-failures.txt" },
+    { label: "Broken links", suffix: "__broken-links.txt" },
+  ];
+
+  for (const type of logTypes) {
+    for (const vp of viewportNames) {
+      const filePath = path.join(logsDir, `${pageName}__${vp}${type.suffix}`);
+      const contentLines = readLines(filePath, 20);
+      if (contentLines) {
+        hasAny = true;
+        lines.push(`${type.label} (${vp}):`);
+        lines.push(...(contentLines.length ? contentLines : ["(none)"]));
+      }
+    }
+  }
+
+  for (const vp of viewportNames) {
+    const filePath = path.join(logsDir, `${pageName}__${vp}__stability.json`);
+    const summary = summarizeStability(filePath);
+    if (summary) {
+      hasAny = true;
+      lines.push(`Stability (${vp}): ${summary}`);
+    }
+  }
+
+  for (const vp of viewportNames) {
+    const a11y = summarizeA11y(path.join(logsDir, `${pageName}__${vp}__a11y.json`));
+    if (a11y) {
+      hasAny = true;
+      lines.push(`Accessibility (${vp}): ${a11y.summary}`);
+      lines.push(...a11y.violations.slice(0, 20));
+    }
+  }
+
+  return { lines, hasAny };
+}
+
+function resolveImagePath(runDir, relPath, pageName, fileName) {
+  if (relPath) return path.isAbsolute(relPath) ? relPath : path.join(runDir, relPath);
+  if (pageName && fileName) return path.join(runDir, pageName, fileName);
+  return null;
+}
+
+function drawSectionLabel(pdfDoc, page, y, label, font) {
+  const x = PDF_PAGE.margin;
+  const lineHeight = PDF_LABEL_SIZE + 4;
+  let curPage = page;
+  let curY = y;
+
+  if (curY - lineHeight < PDF_PAGE.margin) {
+    curPage = newPdfPage(pdfDoc);
+    curY = PDF_PAGE.height - PDF_PAGE.margin;
+  }
+
+  curY -= lineHeight;
+  // Labels carry user text (element, interaction and variant names)
+  curPage.drawText(pdfSafeText(label, font), { x, y: curY, size: PDF_LABEL_SIZE, font, color: rgb(0, 0, 0) });
+  curY -= 6;
+  return { page: curPage, y: curY };
+}
+
+async function addTiledImage(pdfDoc, page, y, imagePath) {
+  const contentWidth = PDF_PAGE.width - PDF_PAGE.margin * 2;
+  const x = PDF_PAGE.margin;
+
+  if (!imagePath || !fs.existsSync(imagePath)) {
+    return { page, y, missing: true };
+  }
+
+  // Decode + resize once to raw pixels, then JPEG-encode each slice (--pdf-quality)
+  let resized;
+  try {
+    resized = await sharp(imagePath, { limitInputPixels: false })
+      .resize({ width: PDF_MAX_IMAGE_WIDTH_PX, withoutEnlargement: true })
+      .flatten({ background: "#ffffff" })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+  } catch {
+    return { page, y, missing: true };
+  }
+
+  const raw = { width: resized.info.width, height: resized.info.height, channels: resized.info.channels };
+  const imgWidthPx = raw.width || 1;
+  const imgHeightPx = raw.height || 1;
+  const scale = contentWidth / imgWidthPx;
+
+  let remainingHeightPx = imgHeightPx;
+  let offsetYpx = 0;
+  let curPage = page;
+  let curY = y;
+  let isFirstSlice = true;
+
+  while (remainingHeightPx > 0) {
+    if (!isFirstSlice) {
+      curPage = newPdfPage(pdfDoc);
+      curY = PDF_PAGE.height - PDF_PAGE.margin;
+    }
+
+    let availableHeightPts = curY - PDF_PAGE.margin;
+    if (availableHeightPts < 40) {
+      curPage = newPdfPage(pdfDoc);
+      curY = PDF_PAGE.height - PDF_PAGE.margin;
+      availableHeightPts = curY - PDF_PAGE.margin;
+    }
+
+    const sliceHeightPx = Math.min(remainingHeightPx, Math.floor(availableHeightPts / scale));
+    if (sliceHeightPx <= 0) break;
+
+    const sliceBuffer = await sharp(resized.data, { raw })
+      .extract({ left: 0, top: offsetYpx, width: imgWidthPx, height: sliceHeightPx })
+      .jpeg({ quality: pdfImageQuality, mozjpeg: true })
+      .toBuffer();
+
+    const embedded = await pdfDoc.embedJpg(sliceBuffer);
+    const sliceHeightPts = sliceHeightPx * scale;
+
+    curPage.drawImage(embedded, {
+      x,
+      y: curY - sliceHeightPts,
+      width: contentWidth,
+      height: sliceHeightPts,
+    });
+
+    curY = curY - sliceHeightPts - 10;
+    remainingHeightPx -= sliceHeightPx;
+    offsetYpx += sliceHeightPx;
+    isFirstSlice = false;
+  }
+
+  return { page: curPage, y: curY, missing: false };
+}
+
+function viewportLabel(vp) {
+  const name = typeof vp === "string" ? vp : vp.baseName || vp.name;
+  const label = name.charAt(0).toUpperCase() + name.slice(1);
+  if (typeof vp === "string") return label;
+  const emulation = emulationLabel(vp.emulation);
+  let suffix = vp.browser ? ` · ${BROWSER_LABELS[vp.browser] || vp.browser}` : "";
+  if (vp.variant) suffix += ` · ${vp.variant}${emulation ? ` (${emulation})` : ""}`;
+  else if (emulation) suffix += ` · ${emulation}`;
+  if (!vp.width) return `${label}${suffix}`;
+  return `${label} (${vp.device ? `${vp.device}, ` : ""}${vp.width}x${vp.height})${suffix}`;
+}
+
+// Extra named shots per viewport: element / above-the-fold / clip shots, then interaction-step shots
+function extraShotsFor(pageInfo, vpName) {
+  return [
+    ...((pageInfo.extraShots && pageInfo.extraShots[vpName]) || []),
+    ...((pageInfo.states && pageInfo.states[vpName]) || []),
+  ];
+}
+
+function httpStatusLabel(pageInfo) {
+  const res = pageInfo.response;
+  if (!res || res.status === null || res.status === undefined) return null;
+  return `HTTP ${res.status}${res.statusText ? ` ${res.statusText}` : ""}`;
+}
+
+// Header lines under the URL (manifest "response" + "meta"): was that blank page a 404 or a redirect?
+function pageMetaLines(pageInfo) {
+  const lines = [];
+  const res = pageInfo.response;
+  if (res && res.redirected) {
+    const hops = (res.redirects || []).map((hop) => `${hop.url} (${hop.status ?? "?"})`);
+    lines.push(`Redirected: ${[...hops, res.finalUrl].join(" -> ")}`);
+  }
+
+  const meta = pageInfo.meta;
+  if (!meta) return lines;
+  const clip = (text, max = 240) => (text.length > max ? `${text.slice(0, max - 3)}...` : text);
+
+  lines.push(`Title: ${meta.title ? clip(meta.title) : "(none)"}`);
+  if (meta.description) lines.push(`Description: ${clip(meta.description)}`);
+  if (meta.canonical) {
+    const differs = meta.canonical !== (res?.finalUrl || pageInfo.url);
+    lines.push(`Canonical: ${meta.canonical}${differs ? " (differs from page URL)" : ""}`);
+  }
+  const h1More = meta.h1Count > 1 ? ` (+${meta.h1Count - 1} more)` : "";
+  lines.push(`H1: ${meta.h1 ? clip(meta.h1) : "(none)"}${h1More}`);
+  const og = Object.entries(meta.og || {}).map(([key, value]) => `og:${key}=${clip(value || "", 120)}`);
+  if (og.length) lines.push(`OG: ${og.join(", ")}`);
+  return lines;
+}
+
+async function addPageSection(pdfDoc, fonts, runDir, pageInfo, runViewports = LEGACY_VIEWPORT_NAMES) {
+  const { font, fontBold } = fonts;
+  const logsDir = path.join(runDir, "logs");
+  let page = newPdfPage(pdfDoc);
+  let y = PDF_PAGE.height - PDF_PAGE.margin;
+  const x = PDF_PAGE.margin;
+  const maxWidth = PDF_PAGE.width - PDF_PAGE.margin * 2;
+
+  const title = pdfSafeText(pageInfo.name || "page", fontBold);
+  page.drawText(title, { x, y: y - PDF_TITLE_SIZE, size: PDF_TITLE_SIZE, font: fontBold, color: rgb(0, 0, 0) });
+  y -= PDF_TITLE_SIZE + 8;
+
+  const statusLabel = httpStatusLabel(pageInfo);
+  const urlText = `${pageInfo.url || "(url unavailable)"}${statusLabel ? `  [${statusLabel}]` : ""}`;
+  ({ page, y } = drawWrappedText(pdfDoc, page, [urlText, ...pageMetaLines(pageInfo)], {
+    x,
+    y,
+    maxWidth,
+    font,
+    size: PDF_TEXT_SIZE,
+    lineHeight: PDF_LINE_HEIGHT,
+  }));
+  y -= 6;
+
+  if (pageInfo.status === "failed") {
+    const errorLines = Object.entries(pageInfo.errors || {}).map(([vp, err]) => `${vp}: ${err}`);
+    ({ page, y } = drawWrappedText(pdfDoc, page, ["CAPTURE FAILED", ...errorLines], {
+      x,
+      y,
+      maxWidth,
+      font: fontBold,
+      size: PDF_TEXT_SIZE,
+      lineHeight: PDF_LINE_HEIGHT,
+    }));
+    y -= 6;
+  }
+
+  for (const vp of runViewports) {
+    const vpName = typeof vp === "string" ? vp : vp.name;
+    ({ page, y } = drawSectionLabel(pdfDoc, page, y, viewportLabel(vp), fontBold));
+    const shotPath = resolveImagePath(runDir, getShotPath(pageInfo, vpName), pageInfo.name, `${vpName}.png`);
+    const shotResult = await addTiledImage(pdfDoc, page, y, shotPath);
+    page = shotResult.page;
+    y = shotResult.y;
+    if (shotResult.missing) {
+      const vpError = pageInfo.errors && pageInfo.errors[vpName];
+      const text = vpError ? `Not captured: ${vpError}` : `Missing ${vpName}.png`;
+      ({ page, y } = drawWrappedText(pdfDoc, page, [text], {
+        x,
+        y,
+        maxWidth,
+        font,
+        size: PDF_TEXT_SIZE,
+        lineHeight: PDF_LINE_HEIGHT,
+      }));
+      y -= 6;
+    }
+
+    for (const shot of extraShotsFor(pageInfo, vpName)) {
+      ({ page, y } = drawSectionLabel(pdfDoc, page, y, `${viewportLabel(vp)} — ${shot.label}`, fontBold));
+      const extraResult = await addTiledImage(pdfDoc, page, y, resolveImagePath(runDir, shot.path));
+      page = extraResult.page;
+      y = extraResult.y;
+      if (extraResult.missing) {
+        ({ page, y } = drawWrappedText(pdfDoc, page, [`Missing ${shot.label}${shot.error ? `: ${shot.error}` : ""}`], {
+          x,
+          y,
+          maxWidth,
+          font,
+          size: PDF_TEXT_SIZE,
+          lineHeight: PDF_LINE_HEIGHT,
+        }));
+        y -= 6;
+      }
+    }
+  }
+
+  if (pageInfo.diff) {
+    const diffLines = [];
+    for (const [vp, d] of Object.entries(pageInfo.diff)) {
+      if (d.status === "pass" || d.status === "fail") {
+        diffLines.push(`${vp}: ${d.status.toUpperCase()} (${d.changedPct}% changed)`);
+      } else {
+        diffLines.push(`${vp}: ${d.status}${d.error ? ` (${d.error})` : ""}`);
+      }
+    }
+
+    if (diffLines.length) {
+      ({ page, y } = drawSectionLabel(pdfDoc, page, y, "Visual diff", fontBold));
+      ({ page, y } = drawWrappedText(pdfDoc, page, diffLines, {
+        x,
+        y,
+        maxWidth,
+        font,
+        size: PDF_TEXT_SIZE,
+        lineHeight: PDF_LINE_HEIGHT,
+      }));
+      y -= 6;
+    }
+
+    // Only failing viewports get the diff image (passing ones are noise in the pack)
+    for (const [vp, d] of Object.entries(pageInfo.diff)) {
+      if (d.status !== "fail" || !d.image) continue;
+      ({ page, y } = drawSectionLabel(pdfDoc, page, y, `Diff (${vp})`, fontBold));
+      const diffResult = await addTiledImage(pdfDoc, page, y, resolveImagePath(runDir, d.image));
+      page = diffResult.page;
+      y = diffResult.y;
+    }
+  }
+
+  const logs = buildLogsLines(
+    pageInfo.name,
+    logsDir,
+    runViewports.map((vp) => (typeof vp === "string" ? vp : vp.name))
+  );
+  if (logs.hasAny) {
+    if (y - 80 < PDF_PAGE.margin) {
+      page = newPdfPage(pdfDoc);
+      y = PDF_PAGE.height - PDF_PAGE.margin;
+    }
+    ({ page, y } = drawSectionLabel(pdfDoc, page, y, "Logs", fontBold));
+    ({ page, y } = drawWrappedText(pdfDoc, page, logs.lines, {
+      x,
+      y,
+      maxWidth,
+      font,
+      size: PDF_TEXT_SIZE,
+      lineHeight: PDF_LINE_HEIGHT,
+    }));
+  }
+}
+
+function getDomainData(domain, runTs) {
+  if (pagesByDomain.has(domain)) return pagesByDomain.get(domain);
+  const runDir = path.join(process.cwd(), "runs", domain, runTs);
+  const entry = { runDir, pages: [], slots: [], urls: [] };
+  pagesByDomain.set(domain, entry);
+  return entry;
+}
+
+// Shortens text with "..." until it fits the given width
+function fitText(text, font, size, maxWidth) {
+  let out = pdfSafeText(text, font);
+  if (font.widthOfTextAtSize(out, size) <= maxWidth) return out;
+  while (out && font.widthOfTextAtSize(`${out}...`, size) > maxWidth) out = out.slice(0, -1);
+  return `${out}...`;
+}
+
+// Run-level "Performance summary" table (page × viewport) from the stability JSON perf data
+function addPerfSummary(pdfDoc, fonts, absRunDir, pages, runViewports) {
+  const { font, fontBold } = fonts;
+  const viewportNames = runViewports.map((v) => (typeof v === "string" ? v : v.name));
+  const rows = readPerfRows(absRunDir, pages, viewportNames);
+  if (!rows.length) return;
+
+  const size = 8;
+  const rowHeight = 11;
+  const x = PDF_PAGE.margin;
+  const maxWidth = PDF_PAGE.width - PDF_PAGE.margin * 2;
+  const pageColWidth = 170;
+  const vpColWidth = 60;
+  const metricColWidth = (maxWidth - pageColWidth - vpColWidth) / PERF_COLUMNS.length;
+  const widths = [pageColWidth, vpColWidth, ...PERF_COLUMNS.map(() => metricColWidth)];
+  const columnX = widths.map((_, i) => x + widths.slice(0, i).reduce((sum, w) => sum + w, 0));
+
+  let page = newPdfPage(pdfDoc);
+  let y = PDF_PAGE.height - PDF_PAGE.margin;
+  page.drawText("Performance summary", {
+    x,
+    y: y - PDF_TITLE_SIZE,
+    size: PDF_TITLE_SIZE,
+    font: fontBold,
+    color: rgb(0, 0, 0),
+  });
+  y -= PDF_TITLE_SIZE + 12;
+
+  const drawRow = (cells, rowFont) => {
+    if (y - rowHeight < PDF_PAGE.margin) {
+      page = newPdfPage(pdfDoc);
+      y = PDF_PAGE.height - PDF_PAGE.margin;
+    }
+    y -= rowHeight;
+    cells.forEach((cell, i) => {
+      const text = fitText(cell, rowFont, size, widths[i] - 4);
+      page.drawText(text, { x: columnX[i], y, size, font: rowFont, color: rgb(0, 0, 0) });
+    });
+  };
+
+  drawRow(["Page", "Viewport", ...PERF_COLUMNS], fontBold);
+  for (const row of rows) drawRow([row.page, row.viewport, ...row.cells], font);
+}
+
+async function buildPdfFromRunDir(
+  runDir,
+  { pdfName = "review-pack.pdf", pagesOverride = null, viewportsOverride = null } = {}
+) {
+  const absRunDir = resolveRunDir(runDir);
+  const { pages, runViewports } = loadRunPages(absRunDir, { pagesOverride, viewportsOverride });
+
+  const pdfDoc = await PDFDocument.create();
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const fontBold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+
+  addPerfSummary(pdfDoc, { font, fontBold }, absRunDir, pages, runViewports);
+
+  for (const pageInfo of pages) {
+    await addPageSection(pdfDoc, { font, fontBold }, absRunDir, pageInfo, runViewports);
+  }
+
+  const pdfBytes = await pdfDoc.save();
+  const outPath = path.join(absRunDir, pdfName || "review-pack.pdf");
+  fs.writeFileSync(outPath, pdfBytes);
+  console.log(`✔ PDF review pack saved → ${outPath}`);
+}
+
+/* -------------------------
+   HTML REVIEW GALLERY
+-------------------------- */
+const HTML_THUMB_WIDTH = 360;
+const HTML_THUMB_MAX_HEIGHT = 1200;
+const HTML_LOG_MAX_LINES = 200;
+
+const HTML_STYLES = `
+  * { box-sizing: border-box; }
+  body { margin: 0; font: 14px/1.45 -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; color: #1d1d1f; background: #f4f4f6; }
+  header { padding: 24px 32px; background: #1d1d1f; color: #fff; }
+  header h1 { margin: 0 0 4px; font-size: 22px; }
+  header p { margin: 0; color: #bbb; }
+  nav { padding: 16px 32px; background: #fff; border-bottom: 1px solid #ddd; }
+  nav ol { margin: 0; padding-left: 20px; columns: 3 280px; }
+  main { padding: 16px 32px 64px; }
+  section.page { background: #fff; border: 1px solid #ddd; border-radius: 8px; padding: 20px; margin: 16px 0; }
+  section.page h2 { margin: 0 0 4px; font-size: 18px; }
+  .url { color: #555; word-break: break-all; }
+  .perf table { border-collapse: collapse; width: 100%; font-size: 12px; }
+  .perf th, .perf td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #eee; white-space: nowrap; }
+  .meta { color: #555; font-size: 12px; margin: 4px 0; word-break: break-word; }
+  .badge { display: inline-block; padding: 1px 8px; border-radius: 10px; font-size: 12px; font-weight: 600; margin-right: 6px; }
+  .ok, .pass { background: #e3f6e8; color: #1a7f37; }
+  .failed, .fail, .timeout, .error { background: #fde7e7; color: #b42318; }
+  .missing { background: #eee; color: #666; }
+  .shots { display: flex; flex-wrap: wrap; gap: 16px; margin-top: 12px; align-items: flex-start; }
+  figure { margin: 0; width: ${HTML_THUMB_WIDTH}px; }
+  figure img { width: 100%; border: 1px solid #ccc; cursor: zoom-in; display: block; background: #fafafa; }
+  figcaption { font-weight: 600; margin-bottom: 6px; }
+  details { margin-top: 10px; }
+  summary { cursor: pointer; font-weight: 600; }
+  pre { background: #f7f7f9; border: 1px solid #e5e5e5; padding: 8px; overflow: auto; max-height: 320px; font-size: 12px; white-space: pre-wrap; word-break: break-all; }
+  #zoom { display: none; position: fixed; inset: 0; background: rgba(0, 0, 0, 0.85); overflow: auto; z-index: 10; cursor: zoom-out; }
+  #zoom.open { display: block; }
+  #zoom img { display: block; margin: 24px auto; max-width: calc(100% - 48px); }
+`;
+
+const HTML_SCRIPT = `
+  const zoom = document.getElementById("zoom");
+  const zoomImg = zoom.querySelector("img");
+  document.addEventListener("click", (e) => {
+    const link = e.target.closest("a[data-zoom]");
+    if (link) {
+      e.preventDefault();
+      zoomImg.src = link.getAttribute("href");
+      zoom.classList.add("open");
+      zoom.scrollTop = 0;
+    } else if (e.target.closest("#zoom")) {
+      zoom.classList.remove("open");
+      zoomImg.removeAttribute("src");
+    }
+  });
+  document.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") zoom.click();
+  });
+`;
+
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Relative href that works when index.html is opened straight from the run dir
+function toHref(absRunDir, absPath) {
+  return path.relative(absRunDir, absPath).split(path.sep).map(encodeURIComponent).join("/");
+}
+
+// Downscaled top crop of a full-page shot (full PNGs are far too heavy for a gallery grid)
+async function writeThumbnail(imagePath, thumbPath) {
+  // Already written at capture time (--thumbnails) and still newer than the shot
+  if (fs.existsSync(thumbPath) && fs.statSync(thumbPath).mtimeMs >= fs.statSync(imagePath).mtimeMs) return;
+
+  const resized = await sharp(imagePath)
+    .resize({ width: HTML_THUMB_WIDTH * 2, withoutEnlargement: true })
+    .toBuffer({ resolveWithObject: true });
+  const height = Math.min(resized.info.height, HTML_THUMB_MAX_HEIGHT * 2);
+
+  fs.mkdirSync(path.dirname(thumbPath), { recursive: true });
+  await sharp(resized.data)
+    .extract({ left: 0, top: 0, width: resized.info.width, height })
+    .jpeg({ quality: 75 })
+    .toFile(thumbPath);
+}
+
+function renderHtmlLogs(pageName, logsDir, viewportNames) {
+  const blocks = [];
+  const logTypes = [
+    { label: "Console errors", suffix: "__console-errors.txt" },
+    { label: "Request failures", suffix: "__request-failures.txt" },
+    { label: "Broken links", suffix: "__broken-links.txt" },
+  ];
+
+  for (const type of logTypes) {
+    for (const vp of viewportNames) {
+      const lines = readLines(path.join(logsDir, `${pageName}__${vp}${type.suffix}`), HTML_LOG_MAX_LINES);
+      if (!lines) continue;
+      blocks.push(
+        `<details><summary>${escapeHtml(type.label)} (${escapeHtml(vp)}) — ${lines.length}</summary>` +
+          `<pre>${escapeHtml(lines.join("\n"))}</pre></details>`
+      );
+    }
+  }
+
+  const stability = viewportNames
+    .map((vp) => {
+      const summary = summarizeStability(path.join(logsDir, `${pageName}__${vp}__stability.json`));
+      return summary ? `${vp}: ${summary}` : null;
+    })
+    .filter(Boolean);
+  if (stability.length) {
+    blocks.push(`<details><summary>Stability</summary><pre>${escapeHtml(stability.join("\n"))}</pre></details>`);
+  }
+
+  for (const vp of viewportNames) {
+    const a11y = summarizeA11y(path.join(logsDir, `${pageName}__${vp}__a11y.json`));
+    if (!a11y) continue;
+    blocks.push(
+      `<details><summary>Accessibility (${escapeHtml(vp)}) — ${escapeHtml(a11y.summary)}</summary>` +
+        `<pre>${escapeHtml(a11y.violations.join("\n") || "(none)")}</pre></details>`
+    );
+  }
+
+  return blocks.join("\n");
+}
+
+async function renderHtmlPageSection(absRunDir, pageInfo, runViewports, index) {
+  const logsDir = path.join(absRunDir, "logs");
+  const viewportNames = runViewports.map((vp) => (typeof vp === "string" ? vp : vp.name));
+  const badges = [];
+  if (pageInfo.status) {
+    badges.push(`<span class="badge ${escapeHtml(pageInfo.status)}">${escapeHtml(pageInfo.status)}</span>`);
+  }
+  const statusLabel = httpStatusLabel(pageInfo);
+  if (statusLabel) {
+    const statusClass = pageInfo.response.status >= 400 ? "failed" : "ok";
+    badges.push(`<span class="badge ${statusClass}">${escapeHtml(statusLabel)}</span>`);
+  }
+  for (const [vp, d] of Object.entries(pageInfo.diff || {})) {
+    const text = d.changedPct !== undefined ? `${vp} diff ${d.changedPct}%` : `${vp} diff ${d.status}`;
+    badges.push(`<span class="badge ${escapeHtml(d.status)}">${escapeHtml(text)}</span>`);
+  }
+
+  const figures = [];
+  for (const vp of runViewports) {
+    const vpName = typeof vp === "string" ? vp : vp.name;
+    const shotPath = resolveImagePath(absRunDir, getShotPath(pageInfo, vpName), pageInfo.name, `${vpName}.png`);
+    const caption = `<figcaption>${escapeHtml(viewportLabel(vp))}</figcaption>`;
+
+    if (!shotPath || !fs.existsSync(shotPath)) {
+      const vpError = pageInfo.errors && pageInfo.errors[vpName];
+      const text = vpError ? `Not captured: ${vpError}` : `Missing ${vpName}.png`;
+      figures.push(`<figure>${caption}<p class="badge missing">${escapeHtml(text)}</p></figure>`);
+      continue;
+    }
+
+    const thumbPath = path.join(absRunDir, "thumbs", `${pageInfo.name}__${vpName}.jpg`);
+    let thumbHref = toHref(absRunDir, shotPath);
+    try {
+      await writeThumbnail(shotPath, thumbPath);
+      thumbHref = toHref(absRunDir, thumbPath);
+    } catch {}
+
+    const diff = pageInfo.diff && pageInfo.diff[vpName];
+    const diffLink =
+      diff && diff.image
+        ? `<p><a data-zoom href="${toHref(absRunDir, resolveImagePath(absRunDir, diff.image))}">View diff</a></p>`
+        : "";
+
+    const alt = escapeHtml(`${pageInfo.name} ${vpName}`);
+    figures.push(
+      `<figure>${caption}<a data-zoom href="${toHref(absRunDir, shotPath)}">` +
+        `<img loading="lazy" src="${thumbHref}" alt="${alt}"></a>${diffLink}</figure>`
+    );
+
+    for (const state of extraShotsFor(pageInfo, vpName)) {
+      const statePath = resolveImagePath(absRunDir, state.path);
+      if (!statePath || !fs.existsSync(statePath)) {
+        const missingCaption = escapeHtml(`${viewportLabel(vp)} — ${state.label}`);
+        const reason = escapeHtml(state.error || `Missing ${state.label}`);
+        figures.push(
+          `<figure><figcaption>${missingCaption}</figcaption><p class="badge missing">${reason}</p></figure>`
+        );
+        continue;
+      }
+      const stateThumb = path.join(absRunDir, "thumbs", `${pageInfo.name}__${vpName}__${safeName(state.label)}.jpg`);
+      let stateThumbHref = toHref(absRunDir, statePath);
+      try {
+        await writeThumbnail(statePath, stateThumb);
+        stateThumbHref = toHref(absRunDir, stateThumb);
+      } catch {}
+      const stateCaption = escapeHtml(`${viewportLabel(vp)} — ${state.label}`);
+      figures.push(
+        `<figure><figcaption>${stateCaption}</figcaption><a data-zoom href="${toHref(absRunDir, statePath)}">` +
+          `<img loading="lazy" src="${stateThumbHref}" alt="${stateCaption}"></a></figure>`
+      );
+    }
+  }
+
+  const errors = Object.entries(pageInfo.errors || {}).map(([vp, err]) => `${vp}: ${err}`);
+  const metaLines = pageMetaLines(pageInfo);
+  const urlHtml = pageInfo.url
+    ? `<a class="url" href="${escapeHtml(pageInfo.url)}">${escapeHtml(pageInfo.url)}</a>`
+    : `<span class="url">(url unavailable)</span>`;
+
+  return `<section class="page" id="page-${index}">
+<h2>${escapeHtml(pageInfo.name || "page")}</h2>
+<div>${urlHtml}</div>
+${metaLines.length ? `<div class="meta">${metaLines.map(escapeHtml).join("<br>")}</div>` : ""}
+<div>${badges.join("")}</div>
+${errors.length ? `<pre>${escapeHtml(errors.join("\n"))}</pre>` : ""}
+<div class="shots">${figures.join("\n")}</div>
+${renderHtmlLogs(pageInfo.name, logsDir, viewportNames)}
+</section>`;
+}
+
+function renderHtmlPerfSummary(absRunDir, pages, viewportNames) {
+  const rows = readPerfRows(absRunDir, pages, viewportNames);
+  if (!rows.length) return "";
+  const head = ["Page", "Viewport", ...PERF_COLUMNS].map((c) => `<th>${escapeHtml(c)}</th>`).join("");
+  const body = rows
+    .map((row) => {
+      const cells = [row.page, row.viewport, ...row.cells].map((c) => `<td>${escapeHtml(c)}</td>`).join("");
+      return `<tr>${cells}</tr>`;
+    })
+    .join("\n");
+  return `<section class="page perf">
+<h2>Performance summary</h2>
+<table><thead><tr>${head}</tr></thead>
+<tbody>
+${body}
+</tbody></table>
+</section>`;
+}
+
+async function buildHtmlFromRunDir(
+  runDir,
+  { htmlName = "index.html", pagesOverride = null, viewportsOverride = null } = {}
+) {
+  const absRunDir = resolveRunDir(runDir);
+  const { manifest, pages, runViewports } = loadRunPages(absRunDir, { pagesOverride, viewportsOverride });
+
+  const sections = [];
+  for (let i = 0; i < pages.length; i++) {
+    sections.push(await renderHtmlPageSection(absRunDir, pages[i], runViewports, i));
+  }
+
+  const domain = (manifest && manifest.domain) || path.basename(path.dirname(absRunDir));
+  const runTs = (manifest && manifest.runTs) || path.basename(absRunDir);
+  const failed = pages.filter((p) => p.status === "failed").length;
+  const viewportNames = runViewports.map((v) => (typeof v === "string" ? v : v.name));
+  const meta = [`${pages.length} pages`, `viewports: ${viewportNames.join(", ")}`];
+  if (failed) meta.push(`${failed} failed`);
+  if (manifest && manifest.compare) {
+    const baseline = manifest.compare.baselineRunTs || manifest.compare.baselineRunDir;
+    meta.push(`diff vs ${baseline}: ${manifest.compare.failed} failed`);
+  }
+
+  const toc = pages
+    .map((p, i) => {
+      const mark = p.status === "failed" ? " ✖" : "";
+      return `<li><a href="#page-${i}">${escapeHtml(p.name || "page")}</a>${mark}</li>`;
+    })
+    .join("\n");
+
+  const html = `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(`${domain} — ${runTs}`)}</title>
+<style>${HTML_STYLES}</style>
+</head>
+<body>
+<header><h1>${escapeHtml(domain)}</h1><p>${escapeHtml(runTs)} · ${escapeHtml(meta.join(" · "))}</p></header>
+<nav><ol>
+${toc}
+</ol></nav>
+<main>
+${renderHtmlPerfSummary(absRunDir, pages, viewportNames)}
+${sections.join("\n")}
+</main>
+<div id="zoom"><img alt=""></div>
+<script>${HTML_SCRIPT}</script>
+</body>
+</html>
+`;
+
+  const outPath = path.join(absRunDir, htmlName || "index.html");
+  fs.writeFileSync(outPath, html, "utf8");
+  console.log(`✔ HTML gallery saved → ${outPath}`);
+}
+
+/* -------------------------
+   REQUEST BLOCKING RULES
+   Block known noisy requests (speed + reduces "never stable" pages).
+   "noise" is on by default; per-rule hit counts land in the stability JSON.
+-------------------------- */
+const BLOCK_PRESETS = {
+  noise: [
+    "a.klaviyo.com/onsite/track-analytics",
+    "monorail-edge.shopifysvc.com",
+    "/api/collect",
+    "re:scontent\\.cdninstagram\\.com/.*\\.mp4", // Instagram videos (keep images)
+  ],
+  ga: ["google-analytics.com", "googletagmanager.com", "**/g/collect*", "stats.g.doubleclick.net"],
+  hotjar: ["hotjar.com", "hotjar.io"],
+  meta: ["connect.facebook.net", "facebook.com/tr"],
+  tiktok: ["analytics.tiktok.com"],
+  chat: [
+    "widget.intercom.io",
+    "js.intercomcdn.com",
+    "static.zdassets.com",
+    "v2.zopim.com",
+    "js.driftt.com",
+    "embed.tawk.to",
+    "cdn.livechatinc.com",
+    "client.crisp.chat",
+    "code.tidio.co",
+    "js.usemessages.com",
+  ],
+};
+
+const BLOCKABLE_RESOURCE_TYPES = [
+  "document",
+  "stylesheet",
+  "image",
+  "media",
+  "font",
+  "script",
+  "xhr",
+  "fetch",
+  "eventsource",
+  "websocket",
+  "manifest",
+  "other",
+];
+
+function buildBlockRules() {
+  const rules = [];
+  const presets = [...(blockNoise ? ["noise"] : []), ...blockPresets];
+
+  for (const preset of presets) {
+    if (!BLOCK_PRESETS[preset]) {
+      throw new Error(`Unknown block preset "${preset}". Available: ${Object.keys(BLOCK_PRESETS).join(", ")}`);
+    }
+    for (const pattern of BLOCK_PRESETS[preset]) {
+      rules.push({ name: `${preset}:${pattern}`, test: compileUrlPattern(pattern) });
+    }
+  }
+
+  for (const pattern of extraBlockPatterns) {
+    rules.push({ name: `custom:${pattern}`, test: compileUrlPattern(pattern) });
+  }
+
+  for (const type of blockTypes) {
+    if (!BLOCKABLE_RESOURCE_TYPES.includes(type)) {
+      throw new Error(`Unknown resource type "${type}". Available: ${BLOCKABLE_RESOURCE_TYPES.join(", ")}`);
+    }
+    rules.push({ name: `type:${type}`, test: (url, resourceType) => resourceType === type });
+  }
+
+  return rules;
+}
+
+let blockRules = [];
+try {
+  blockRules = buildBlockRules();
+} catch (e) {
+  console.error(`Block rules: ${e.message}`);
+  process.exit(1);
+}
+
+// target is a page (per-page counts) or a context (e.g. the login context)
+async function installRequestBlocking(target, counts = null) {
+  if (!blockRules.length) return;
+
+  const hit = (name) => {
+    if (counts) counts[name] = (counts[name] || 0) + 1;
+  };
+
+  await target.route("**/*", (route) => {
+    const req = route.request();
+    const rule = blockRules.find((r) => r.test(req.url(), req.resourceType()));
+    if (!rule) return route.fallback();
+
+    hit(rule.name);
+    return route.abort("blockedbyclient");
+  });
+
+  // WebSockets never reach route(); they need their own handler
+  if (blockTypes.includes("websocket")) {
+    await target.routeWebSocket(/.*/, (ws) => {
+      hit("type:websocket");
+      ws.close();
+    });
+  }
+}
+
+/* -------------------------
+   HAR RECORD / REPLAY
+   --record-har: <runDir>/har/<pageName>__<viewport>.har per page/viewport (bodies embedded)
+   --replay-har=<runDir>: re-capture that run's pages from its HARs, no live network;
+     requests missing from a HAR are logged in request-failures
+-------------------------- */
+const HAR_DIR = "har";
+
+function harFileName(pageName, vpName) {
+  return `${pageName}__${vpName}.har`;
+}
+
+// Folder name from the recorded run's manifest: naming flags may differ between the two runs
+function replayHarPath(url, pageName, vpName, manifest = replayManifest, runDir = replayHarArg) {
+  const recorded = (manifest.pages || []).find((p) => p.url === url);
+  return path.join(resolveRunDir(runDir), HAR_DIR, harFileName(recorded?.name || pageName, vpName));
+}
+
+function harContextOptions() {
+  return recordHarEnabled || replayManifest ? { serviceWorkers: "block" } : {};
+}
+
+// recordHar option for the per-page recording context
+function harRecordOptions(runDir, pageName, vpName) {
+  const harPath = path.join(runDir, HAR_DIR, harFileName(pageName, vpName));
+  fs.mkdirSync(path.dirname(harPath), { recursive: true });
+  return { path: harPath, content: "embed", mode: "full" };
+}
+
+// Install before installRequestBlocking: routes registered later are consulted first, so the
+// order is blocking → HAR → catch-all. `missing` collects requests the HAR couldn't answer.
+async function installHarRouting(page, { url, pageName, vpName, missing }) {
+  // Recording happens at context level (harRecordOptions): nothing to route
+  if (recordHarEnabled) return { mode: "record", path: path.join(HAR_DIR, harFileName(pageName, vpName)) };
+  if (!replayManifest) return null;
+
+  await page.route("**/*", (route) => {
+    missing.add(route.request());
+    return route.abort("internetdisconnected");
+  });
+  await page.routeWebSocket(/.*/, (ws) => ws.close());
+
+  // No archive for this page/viewport: every request ends up in the catch-all (and the log)
+  const harPath = replayHarPath(url, pageName, vpName);
+  const found = fs.existsSync(harPath);
+  if (found) await page.routeFromHAR(harPath, { notFound: "fallback" });
+  return { mode: "replay", path: harPath, found };
+}
+
+/* -------------------------
+   AUTH / SESSION STATE
+   --login-script=login.js exports an async function, called once per domain
+   (before the URL loop) in a throwaway context; its storageState is then
+   loaded into every viewport context:
+     module.exports = async ({ page, origin }) => {
+       await page.goto(`${origin}/password`);
+       await page.fill("#password", process.env.STORE_PASSWORD);
+       await Promise.all([page.waitForNavigation(), page.click("button[type=submit]")]);
+     };
+-------------------------- */
+function authContextOptions() {
+  const opts = {};
+  if (httpCredentials) opts.httpCredentials = httpCredentials;
+  if (extraHeaders) opts.extraHTTPHeaders = extraHeaders;
+  return opts;
+}
+
+// Summary for the stability JSON (no secrets)
+function authSummary() {
+  return {
+    httpCredentials: httpCredentials ? httpCredentials.username : null,
+    headers: extraHeaders ? Object.keys(extraHeaders) : [],
+    cookies: sessionCookies.map((c) => c.name),
+    storageState: storageStatePath || null,
+    loginScript: loginScriptPath || null,
+  };
+}
+
+// Cookies without url/domain apply to every origin being captured
+async function addSessionCookies(context, origins) {
+  if (!sessionCookies.length) return;
+  const cookies = sessionCookies.flatMap((c) => {
+    if (c.url) return [c];
+    if (c.domain) return [{ path: "/", ...c }];
+    return origins.map((origin) => ({ ...c, url: origin }));
+  });
+  await context.addCookies(cookies);
+}
+
+async function prepareSessionState(browser, origins) {
+  // A replay never reaches the live site, so there is nothing to log in to
+  if (!loginScriptPath || replayManifest) return storageStatePath || undefined;
+
+  const loginModule = require(path.resolve(process.cwd(), loginScriptPath));
+  const login = typeof loginModule === "function" ? loginModule : loginModule.login;
+  if (typeof login !== "function") {
+    throw new Error(`Login script ${loginScriptPath} must export an async function`);
+  }
+
+  const context = await browser.newContext({
+    ...contextOptionsForViewport(viewports[0]),
+    ...authContextOptions(),
+    storageState: storageStatePath || undefined,
+  });
+  await addSessionCookies(context, origins);
+  await installRequestBlocking(context);
+
+  const page = await context.newPage();
+  for (const origin of origins) {
+    console.log(`Running login script for ${origin}`);
+    await login({ page, context, origin, domain: getDomain(origin), options: profileOptions || {} });
+  }
+
+  const state = await context.storageState();
+  await context.close();
+  return state;
+}
+
+/* -------------------------
+   CAPTURE
+-------------------------- */
+
+// session = { browsers, storageState, origins, contexts }: MAIN opens one shared context per
+// viewport (and engine); device options (isMobile, hasTouch, userAgent, DPR) are context-level
+async function newViewportContext(session, vp, extra = {}) {
+  const context = await session.browsers.get(vp.browser).newContext({
+    ...contextOptionsForViewport(vp),
+    ...authContextOptions(),
+    ...harContextOptions(),
+    storageState: session.storageState,
+    ...extra,
+  });
+  await addSessionCookies(context, session.origins);
+  await installDeterminism(context);
+  return context;
 }
 
-async function addTiledImage(pdfDoc, page, y, imagePath) {
-  const contentWidth = PDF_PAGE.width - PDF_PAGE.margin * 2;
-  const x = PDF_PAGE.margin;
+// Full-page shot, stitched from viewport segments for tall pages (see STITCHED CAPTURE)
+async function captureFullPage(page, vp, shotPath) {
+  const pageHeight = await getPageHeight(page);
+  // Browser and encoder limits are in device px: a 2x page hits them at half the CSS height
+  const deviceScaleFactor = vp.deviceScaleFactor || 1;
+  const stitch =
+    stitchMode === "always" || (stitchMode === "auto" && pageHeight * deviceScaleFactor > stitchThresholdPx);
+  const shot = stitch
+    ? await captureStitched(page, {
+        waitMs: sweepWaitMs,
+        keepFixed: stitchKeepFixed,
+        maxHeight: shotMaxHeight(),
+        deviceScaleFactor,
+      })
+    : { buffer: await page.screenshot({ fullPage: true, ...screenshotOptions(page) }) };
+  return {
+    ...(await writeShot(shot.buffer, shotPath)),
+    method: stitch ? "stitched" : "fullPage",
+    pageHeight,
+    ...(stitch ? { segments: shot.segments } : {}),
+  };
+}
 
-  if (!imagePath || !fs.existsSync(imagePath)) {
-    return { page, y, missing: true };
-  }
+async function captureViewport(session, url, vp, { domain, pageName, runDir, runTs }) {
+  const pageDir = path.join(runDir, pageName);
+  const logsDir = path.join(runDir, "logs");
 
-  let resizedBuffer;
-  try {
-    resizedBuffer = await sharp(imagePath)
-      .resize({ width: PDF_MAX_IMAGE_WIDTH_PX, withoutEnlargement: true })
-      .png()
-      .toBuffer();
-  } catch {
-    return { page, y, missing: true };
-  }
+  const startedAt = Date.now();
+  const logBase = `${pageName}__${vp.name}`;
+  const stabilityPath = path.join(logsDir, `${logBase}__stability.json`);
 
-  const meta = await sharp(resizedBuffer).metadata();
-  const imgWidthPx = meta.width || 1;
-  const imgHeightPx = meta.height || 1;
-  const scale = contentWidth / imgWidthPx;
+  // A viewport that throws must not leave a previous attempt's stability JSON behind for the report
+  fs.rmSync(stabilityPath, { force: true });
 
-  let remainingHeightPx = imgHeightPx;
-  let offsetYpx = 0;
-  let curPage = page;
-  let curY = y;
-  let isFirstSlice = true;
+  const harContext = recordHarEnabled
+    ? await newViewportContext(session, vp, { recordHar: harRecordOptions(runDir, pageName, vp.name) })
+    : null;
+  const context = harContext || session.contexts.get(vp.name);
+  let page = null;
 
-  while (remainingHeightPx > 0) {
-    if (!isFirstSlice) {
-      curPage = newPdfPage(pdfDoc);
-      curY = PDF_PAGE.height - PDF_PAGE.margin;
-    }
+  try {
+    page = await context.newPage();
+    const emulationNotes = await applyPageEmulation(page, vp);
+    const blocked = {};
+    const harMissing = new Set();
+    const har = await installHarRouting(page, { url, pageName, vpName: vp.name, missing: harMissing });
+    await installRequestBlocking(page, blocked);
+    await page.addInitScript(perfObserverInitScript);
+    await page.addInitScript(readinessInitScript);
+    const network = trackNetworkActivity(page);
+    const collectResources = trackResourceWeight(page);
+    const brokenAssets = linkCheckEnabled ? trackBrokenAssets(page) : null;
+
+    const consoleErrors = [];
+    const requestFailures = [];
+
+    page.on("console", (msg) => {
+      if (msg.type() === "error") consoleErrors.push(msg.text());
+    });
 
-    let availableHeightPts = curY - PDF_PAGE.margin;
-    if (availableHeightPts < 40) {
-      curPage = newPdfPage(pdfDoc);
-      curY = PDF_PAGE.height - PDF_PAGE.margin;
-      availableHeightPts = curY - PDF_PAGE.margin;
-    }
+    page.on("requestfailed", (req) => {
+      const reason = harMissing.has(req) ? "not in HAR (replay)" : req.failure()?.errorText || "failed";
+      requestFailures.push(`${req.method()} ${req.url()} :: ${reason}`);
+    });
 
-    const sliceHeightPx = Math.min(remainingHeightPx, Math.floor(availableHeightPts / scale));
-    if (sliceHeightPx <= 0) break;
+    const { response: navResponse, ...navigation } = await gotoWithRetry(page, url, {
+      retries: navRetries,
+      backoffMs: navRetryBackoffMs,
+      errors: consoleErrors,
+    });
 
-    const sliceBuffer = await sharp(resizedBuffer)
-      .extract({ left: 0, top: offsetYpx, width: imgWidthPx, height: sliceHeightPx })
-      .png()
-      .toBuffer();
+    await applyFreezeStyles(page);
 
-    const embedded = await pdfDoc.embedPng(sliceBuffer);
-    const sliceHeightPts = sliceHeightPx * scale;
+    // Optional: if you know a page must contain something, wait for it
+    await waitForSelectorIfNeeded(page, waitForSelector, waitTimeoutMs);
 
-    curPage.drawImage(embedded, {
-      x,
-      y: curY - sliceHeightPts,
-      width: contentWidth,
-      height: sliceHeightPts,
+    const readiness = { quietMs: readyQuietMs, maxPendingImages, signal: readySignal };
+    let stability = await waitForReadiness(page, network, {
+      ...readiness,
+      timeoutMs: readyTimeoutMs,
+      stableIterations: Math.max(3, Math.floor(stableIterations / 2)),
     });
 
-    curY = curY - sliceHeightPts - 10;
-    remainingHeightPx -= sliceHeightPx;
-    offsetYpx += sliceHeightPx;
-    isFirstSlice = false;
-  }
+    // Consent banners from async CMP scripts are rarely in the DOM at DOMContentLoaded, so look
+    // for them once the page has settled; a dismissed banner changes the page, so re-check
+    if (await tryDismissCookieBanners(page)) {
+      stability = await waitForReadiness(page, network, {
+        ...readiness,
+        timeoutMs: fastStabilizeMs,
+        stableIterations: 3,
+      });
+    }
+    const vitals = navigation.ok ? await readWebVitals(page) : null;
 
-  return { page: curPage, y: curY, missing: false };
-}
+    const interactions = navigation.ok
+      ? await runInteractions(page, url, { pageDir, pageName, vpName: vp.name })
+      : { log: [], states: [] };
 
-async function addPageSection(pdfDoc, fonts, runDir, pageInfo) {
-  const { font, fontBold } = fonts;
-  const logsDir = path.join(runDir, "logs");
-  let page = newPdfPage(pdfDoc);
-  let y = PDF_PAGE.height - PDF_PAGE.margin;
-  const x = PDF_PAGE.margin;
-  const maxWidth = PDF_PAGE.width - PDF_PAGE.margin * 2;
+    // Adaptive: not ready in time → sweep for lazy content; either way settle after sweep/steps
+    if (!stability.ok || interactions.log.length) {
+      if (!stability.ok && sweepEnabled) await renderSweep(page, sweepSteps, sweepWaitMs);
 
-  const title = pageInfo.name || "page";
-  page.drawText(title, { x, y: y - PDF_TITLE_SIZE, size: PDF_TITLE_SIZE, font: fontBold, color: rgb(0, 0, 0) });
-  y -= PDF_TITLE_SIZE + 8;
+      stability = await waitForReadiness(page, network, {
+        ...readiness,
+        timeoutMs: fastStabilizeMs,
+        stableIterations: 3,
+      });
+    }
 
-  const urlText = pageInfo.url || "(url unavailable)";
-  ({ page, y } = drawWrappedText(pdfDoc, page, [urlText], {
-    x,
-    y,
-    maxWidth,
-    font,
-    size: PDF_TEXT_SIZE,
-    lineHeight: PDF_LINE_HEIGHT,
-  }));
-  y -= 6;
+    const perf = { vitals, resources: await collectResources() };
+    const response = await describeResponse(page, navResponse, url);
+    const meta = navigation.ok ? await readPageMeta(page) : null;
+
+    // Save final full-page screenshot only. After a failed navigation the page is a browser error
+    // page (or blank): nothing is taken, and a shot from an earlier attempt must not pass for this one
+    const shotPath = path.join(pageDir, shotFileName(vp.name));
+    let screenshot = null;
+    let extraShots = [];
+    if (navigation.ok) {
+      await pauseAllVideos(page);
+      screenshot = await captureFullPage(page, vp, shotPath);
+      if (thumbnailsEnabled) {
+        await writeThumbnail(shotPath, path.join(runDir, "thumbs", `${pageName}__${vp.name}.jpg`)).catch(() => {});
+      }
+      extraShots = await captureExtraShots(page, { pageDir, pageName, vpName: vp.name });
+    } else {
+      fs.rmSync(shotPath, { force: true });
+    }
 
-  ({ page, y } = drawSectionLabel(pdfDoc, page, y, "Desktop", fontBold));
-  const desktopPath = resolveImagePath(runDir, pageInfo.desktop, pageInfo.name, "desktop.png");
-  const desktopResult = await addTiledImage(pdfDoc, page, y, desktopPath);
-  page = desktopResult.page;
-  y = desktopResult.y;
-  if (desktopResult.missing) {
-    ({ page, y } = drawWrappedText(pdfDoc, page, ["Missing desktop.png"], {
-      x,
-      y,
-      maxWidth,
-      font,
-      size: PDF_TEXT_SIZE,
-      lineHeight: PDF_LINE_HEIGHT,
-    }));
-    y -= 6;
-  }
+    // Write logs to /logs subfolder (and drop stale ones from a previous attempt on --resume)
+    const consoleLogPath = path.join(logsDir, `${logBase}__console-errors.txt`);
+    if (consoleErrors.length) {
+      fs.writeFileSync(consoleLogPath, consoleErrors.join("\n"), "utf8");
+    } else {
+      fs.rmSync(consoleLogPath, { force: true });
+    }
 
-  ({ page, y } = drawSectionLabel(pdfDoc, page, y, "Mobile", fontBold));
-  const mobilePath = resolveImagePath(runDir, pageInfo.mobile, pageInfo.name, "mobile.png");
-  const mobileResult = await addTiledImage(pdfDoc, page, y, mobilePath);
-  page = mobileResult.page;
-  y = mobileResult.y;
-  if (mobileResult.missing) {
-    ({ page, y } = drawWrappedText(pdfDoc, page, ["Missing mobile.png"], {
-      x,
-      y,
-      maxWidth,
-      font,
-      size: PDF_TEXT_SIZE,
-      lineHeight: PDF_LINE_HEIGHT,
-    }));
-    y -= 6;
-  }
+    const requestLogPath = path.join(logsDir, `${logBase}__request-failures.txt`);
+    if (requestFailures.length) {
+      fs.writeFileSync(requestLogPath, requestFailures.join("\n"), "utf8");
+    } else {
+      fs.rmSync(requestLogPath, { force: true });
+    }
 
-  const logs = buildLogsLines(pageInfo.name, logsDir);
-  if (logs.hasAny) {
-    if (y - 80 < PDF_PAGE.margin) {
-      page = newPdfPage(pdfDoc);
-      y = PDF_PAGE.height - PDF_PAGE.margin;
+    let links = null;
+    const linksLogPath = path.join(logsDir, `${logBase}__broken-links.txt`);
+    if (linkCheckEnabled) {
+      const anchors = navigation.ok
+        ? await checkPageLinks(page, session.origins)
+        : { checked: 0, skipped: 0, broken: [] };
+      links = { checked: anchors.checked, skipped: anchors.skipped, broken: [...brokenAssets, ...anchors.broken] };
     }
-    ({ page, y } = drawSectionLabel(pdfDoc, page, y, "Logs", fontBold));
-    ({ page, y } = drawWrappedText(pdfDoc, page, logs.lines, {
-      x,
-      y,
-      maxWidth,
-      font,
-      size: PDF_TEXT_SIZE,
-      lineHeight: PDF_LINE_HEIGHT,
-    }));
+    if (links && links.broken.length) {
+      fs.writeFileSync(linksLogPath, links.broken.map(brokenLinkLine).join("\n"), "utf8");
+    } else {
+      fs.rmSync(linksLogPath, { force: true });
+    }
+
+    // Accessibility audit on the page as captured (skipped when navigation failed: nothing to audit)
+    let a11y = null;
+    const a11yPath = path.join(logsDir, `${logBase}__a11y.json`);
+    fs.rmSync(a11yPath, { force: true });
+    if (a11yEnabled && navigation.ok) {
+      const base = { url, pageName, viewport: vp.name, tags: a11yTags };
+      try {
+        const audit = await runA11yAudit(page, { tags: a11yTags });
+        a11y = audit.counts;
+        fs.writeFileSync(
+          a11yPath,
+          JSON.stringify({ ...base, ...audit, ts: new Date().toISOString() }, null, 2),
+          "utf8"
+        );
+      } catch (e) {
+        fs.writeFileSync(a11yPath, JSON.stringify({ ...base, error: String(e) }, null, 2), "utf8");
+      }
+    }
+
+    fs.writeFileSync(
+      stabilityPath,
+      JSON.stringify(
+        {
+          url,
+          domain,
+          pageName,
+          viewport: vp,
+          browser: { name: vp.browser, version: context.browser()?.version() || null },
+          variant: vp.variant || null,
+          emulation: vp.emulation || {},
+          emulationNotes,
+          mode: mode || null,
+          runTs,
+          options: {
+            waitForSelector: waitForSelector || null,
+            waitTimeoutMs,
+            readyTimeoutMs,
+            fastStabilizeMs,
+            readyQuietMs,
+            readySignal,
+            stableIterations,
+            maxPendingImages,
+            sweepEnabled,
+            sweepSteps,
+            sweepWaitMs,
+            blockNoise,
+            block: extraBlockPatterns,
+            blockPresets,
+            blockTypes,
+            profile: profileName,
+            auth: authSummary(),
+            determinism: determinismSummary(),
+            sitemap: sitemapArgRaw || null,
+            include: include || null,
+            exclude: exclude || null,
+            limit: limit || 0,
+            sameHostOnly,
+            a11y: a11yEnabled,
+            checkLinks: linkCheckEnabled,
+            recordHar: recordHarEnabled,
+            replayHar: replayHarArg || null,
+          },
+          navigation,
+          response,
+          meta,
+          blocked,
+          har: har && { ...har, ...(har.mode === "replay" ? { missing: harMissing.size } : {}) },
+          interactions: interactions.log,
+          screenshot,
+          extraShots,
+          stability,
+          perf,
+          links,
+          a11y,
+          counts: {
+            consoleErrors: consoleErrors.filter((line) => !line.startsWith("NAV_FAIL")).length,
+            requestFailures: requestFailures.length,
+          },
+          durationMs: Date.now() - startedAt,
+          ts: new Date().toISOString(), 
+        },
+        null,
+        2
+      ),
+      "utf8"
+    );
+
+    return { navigation, response, meta, a11y, extraShots, states: interactions.states };
+  } finally {
+    if (page) await page.close().catch(() => {});
+    // Writes the HAR: a failure fails this viewport instead of silently losing the archive
+    if (harContext) await harContext.close();
   }
 }
 
-function getDomainData(domain, runTs) {
-  if (pagesByDomain.has(domain)) return pagesByDomain.get(domain);
-  const runDir = path.join(process.cwd(), "runs", domain, runTs);
-  const entry = { runDir, pages: [] };
-  pagesByDomain.set(domain, entry);
-  return entry;
-}
+async function capturePage(session, url, index, runTs) {
+  const domain = getDomain(url);
+  const pageName = getPageName(url);
 
-async function buildPdfFromRunDir(runDir, { pdfName = "review-pack.pdf", pagesOverride = null } = {}) {
-  const absRunDir = path.isAbsolute(runDir) ? runDir : path.join(process.cwd(), runDir);
-  const manifestPath = path.join(absRunDir, "manifest.json");
-  let pages = pagesOverride;
+  const domainData = getDomainData(domain, runTs);
+  const runDir = domainData.runDir;
+
+  fs.mkdirSync(path.join(runDir, pageName), { recursive: true });
+  fs.mkdirSync(path.join(runDir, "logs"), { recursive: true });
 
-  if (!pages && fs.existsSync(manifestPath)) {
+  const target = { domain, pageName, runDir, runTs };
+  const errors = {};
+  const states = {};
+  const details = {};
+  const a11y = {};
+  const extraShots = {};
+
+  // A throw here (crashed page, screenshot failure) fails this viewport, not the whole run
+  const runViewport = async (vp) => {
     try {
-      const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
-      if (Array.isArray(manifest.pages)) {
-        pages = manifest.pages;
-      }
-    } catch {}
+      const result = await captureViewport(session, url, vp, target);
+      if (!result.navigation.ok) errors[vp.name] = result.navigation.error;
+      if (result.states.length) states[vp.name] = result.states;
+      if (result.navigation.ok) details[vp.name] = { response: result.response, meta: result.meta };
+      if (result.a11y) a11y[vp.name] = result.a11y;
+      if (result.extraShots.length) extraShots[vp.name] = result.extraShots;
+    } catch (e) {
+      errors[vp.name] = String(e);
+    }
+  };
+
+  if (parallelViewports) {
+    await Promise.all(viewports.map(runViewport));
+  } else {
+    for (const vp of viewports) {
+      await runViewport(vp);
+    }
   }
 
-  if (!pages) {
-    const entries = fs.readdirSync(absRunDir, { withFileTypes: true });
-    pages = entries
-      .filter((e) => e.isDirectory() && e.name !== "logs")
-      .map((e) => ({
-        name: e.name,
-        url: null,
-        desktop: `${e.name}/desktop.png`,
-        mobile: `${e.name}/mobile.png`,
-      }))
-      .sort((a, b) => a.name.localeCompare(b.name));
+  const failed = Object.keys(errors).length > 0;
+
+  // Page-level response/meta come from the first viewport (in viewport order) that loaded;
+  // per-viewport detail stays in each stability JSON
+  const first = viewports.map((vp) => details[vp.name]).find(Boolean);
+  const shotFor = (vp) => (errors[vp.name] ? null : `${pageName}/${shotFileName(vp.name)}`);
+
+  // Slots are indexed by URL order so out-of-order completions keep a deterministic manifest
+  domainData.slots[index] = {
+    name: pageName,
+    url,
+    status: failed ? "failed" : "ok",
+    // null = not captured (navigation failed, see errors)
+    shots: Object.fromEntries(viewports.map((vp) => [vp.name, shotFor(vp)])),
+    // Older consumers read pageInfo.desktop / pageInfo.mobile
+    ...Object.fromEntries(
+      viewports.filter((vp) => LEGACY_VIEWPORT_NAMES.includes(vp.name)).map((vp) => [vp.name, shotFor(vp)])
+    ),
+    ...(first ? { response: first.response, meta: first.meta } : {}),
+    ...(Object.keys(extraShots).length ? { extraShots } : {}),
+    ...(Object.keys(states).length ? { states } : {}),
+    ...(Object.keys(a11y).length ? { a11y } : {}),
+    ...(failed ? { errors } : {}),
+  };
+  saveDomainManifest(domain, runTs);
+
+  if (failed) {
+    console.log(`✖ Failed ${url} → runs/${domain}/${runTs}/${pageName}/ (${Object.keys(errors).join(", ")})`);
+  } else {
+    console.log(`✔ Captured ${url} → runs/${domain}/${runTs}/${pageName}/`);
   }
+}
 
-  const pdfDoc = await PDFDocument.create();
-  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
-  const fontBold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+function saveDomainManifest(domain, runTs) {
+  const domainData = pagesByDomain.get(domain);
+  domainData.pages = domainData.slots.filter(Boolean);
+  writeManifest(domainData.runDir, {
+    domain,
+    runTs: runTs,
+    profile: profileName,
+    browsers: [...new Set(viewports.map((vp) => vp.browser))],
+    variants: Object.fromEntries(viewports.filter((vp) => vp.variant).map((vp) => [vp.variant, vp.emulation || {}])),
+    viewports,
+    urls: domainData.urls,
+    names: Object.fromEntries(domainData.pages.map((p) => [p.name, p.url])),
+    pages: domainData.pages,
+  });
+}
 
-  for (const pageInfo of pages) {
-    await addPageSection(pdfDoc, { font, fontBold }, absRunDir, pageInfo);
-  }
+// --resume: a page is done when the previous attempt did not fail and every viewport shot exists
+function isPageComplete(runDir, pageInfo) {
+  if (!pageInfo || pageInfo.status === "failed") return false;
+  return viewports.every((vp) => {
+    const shotPath = resolveImagePath(runDir, getShotPath(pageInfo, vp.name), pageInfo.name, `${vp.name}.png`);
+    return shotPath && fs.existsSync(shotPath);
+  });
+}
 
-  const pdfBytes = await pdfDoc.save();
-  const outPath = path.join(absRunDir, pdfName || "review-pack.pdf");
-  fs.writeFileSync(outPath, pdfBytes);
-  console.log(`✔ PDF review pack saved → ${outPath}`);
+// Bounded worker pool: at most `concurrency` workers pull items in order
+async function runPool(items, concurrency, worker) {
+  let next = 0;
+  const workers = Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      await worker(items[index], index);
+    }
+  });
+  await Promise.all(workers);
 }
 
 /* -------------------------
    MAIN
 -------------------------- */
-(async () => {
+async function main() {
   if (pdfOnly) {
     if (!runDirArg) {
       console.log('Usage: node shoot.js --pdf-only --run-dir="runs/domain/2026-01-01T22-05-56-316Z"');
       process.exit(1);
     }
     await buildPdfFromRunDir(runDirArg, { pdfName: pdfNameArg });
+    if (htmlEnabled) await buildHtmlFromRunDir(runDirArg, { htmlName: htmlNameArg });
+    return;
+  }
+
+  if (htmlOnly) {
+    if (!runDirArg) {
+      console.log('Usage: node shoot.js --html-only --run-dir="runs/domain/2026-01-01T22-05-56-316Z"');
+      process.exit(1);
+    }
+    await buildHtmlFromRunDir(runDirArg, { htmlName: htmlNameArg });
     return;
   }
 
-  if (!urlsArgRaw && !sitemapArgRaw) {
+  // Compare an existing run dir against a baseline without capturing
+  if (compareToArg && runDirArg && !urlsArgRaw && !sitemapArgRaw) {
+    await compareRunDirs(runDirArg, compareToArg, { thresholdPct: diffThresholdPct, tolerance: diffTolerance });
+    if (pdfEnabled) await buildPdfFromRunDir(runDirArg, { pdfName: pdfNameArg });
+    if (htmlEnabled) await buildHtmlFromRunDir(runDirArg, { htmlName: htmlNameArg });
+    applyFailOn([buildReportFromRunDir(runDirArg)]);
+    return;
+  }
+
+  if (resumeEnabled && !resumeManifest) {
+    console.log('Usage: node shoot.js --resume --run-dir="runs/domain/2026-01-01T22-05-56-316Z"');
+    console.log("   (the run dir must contain a manifest.json)");
+    process.exit(1);
+  }
+
+  if (replayHarArg && !replayManifest) {
+    console.log('Usage: node shoot.js --replay-har="runs/domain/2026-01-01T22-05-56-316Z"');
+    console.log("   (a run dir recorded with --record-har; it must contain a manifest.json)");
+    process.exit(1);
+  }
+
+  if (replayHarArg && (recordHarEnabled || linkCheckEnabled)) {
+    console.log("--replay-har can't be combined with --record-har or --check-links (both need the live network)");
+    process.exit(1);
+  }
+
+  if (!urlsArgRaw && !sitemapArgRaw && !resumeManifest && !replayManifest) {
     console.log('Usage: node shoot.js --urls="https://domain.com" --mode=1|2');
     console.log('   or: node shoot.js --sitemap="https://domain.com/sitemap.xml" --mode=1|2');
+    console.log("   or: node shoot.js --profile=client-x   (profile from shoot.config.js/json)");
     process.exit(1);
   }
 
-  const runTs = new Date().toISOString().replace(/[:.]/g, "-");
-  const urls = await resolveUrlsFromArgs();
+  const runTs = resumeManifest ? resumeManifest.runTs : new Date().toISOString().replace(/[:.]/g, "-");
+  const manifestUrls = (manifest) => manifest.urls || (manifest.pages || []).map((p) => p.url).filter(Boolean);
+  // A replay re-captures exactly the recorded pages (resolving a sitemap would need the network)
+  const urls = replayManifest
+    ? manifestUrls(replayManifest)
+    : urlsArgRaw || sitemapArgRaw
+    ? await resolveUrlsFromArgs()
+    : manifestUrls(resumeManifest);
 
   if (!urls.length) {
     console.log("No URLs to run (empty after filtering).");
     process.exit(0);
   }
 
-  const browser = await chromium.launch();
-  const context = await browser.newContext();
-
-  // Block known noisy requests (speed + reduces "never stable" pages)
-  if (blockNoise) {
-    await context.route("**/*", (route) => {
-      const u = route.request().url();
+  if (resumeManifest) {
+    // Resume into the given dir even if it doesn't follow runs/<domain>/<runTs>
+    pagesByDomain.set(resumeManifest.domain, { runDir: resolveRunDir(runDirArg), pages: [], slots: [], urls: [] });
+  }
 
-      // Analytics noise
-      if (
-        u.includes("a.klaviyo.com/onsite/track-analytics") ||
-        u.includes("monorail-edge.shopifysvc.com") ||
-        u.includes("/api/collect")
-      ) {
-        return route.abort();
+  // Plan the run up front: manifest.urls is what --resume continues from
+  const pending = [];
+  const namesInUse = new Map(); // "<domain>/<pageName>" → url
+  urls.forEach((url, index) => {
+    const domainData = getDomainData(getDomain(url), runTs);
+
+    // Never let two URLs write into the same page folder
+    const nameKey = `${getDomain(url)}/${getPageName(url)}`;
+    if (namesInUse.has(nameKey)) {
+      if (namesInUse.get(nameKey) !== url) {
+        console.log(`⚠ Skipping ${url}: same page name as ${namesInUse.get(nameKey)} (try --name-include-query)`);
       }
+      return;
+    }
+    namesInUse.set(nameKey, url);
+    domainData.urls.push(url);
 
-      // Block Instagram videos (keep images)
-      if (u.includes("scontent.cdninstagram.com") && u.toLowerCase().includes(".mp4")) {
-        return route.abort();
-      }
+    const previous =
+      resumeManifest && getDomain(url) === resumeManifest.domain
+        ? (resumeManifest.pages || []).find((p) => p.url === url)
+        : null;
 
-      return route.continue();
-    });
+    if (isPageComplete(domainData.runDir, previous)) {
+      domainData.slots[index] = previous;
+    } else {
+      pending.push({ url, index });
+    }
+  });
+
+  for (const [domain, domainData] of pagesByDomain) {
+    fs.mkdirSync(domainData.runDir, { recursive: true });
+    saveDomainManifest(domain, runTs);
   }
 
-  for (const url of urls) {
-    const domain = getDomain(url);
-    const pageName = getPageName(url);
+  if (resumeManifest) console.log(`Resuming: ${urls.length - pending.length} done, ${pending.length} to capture`);
 
-    const domainData = getDomainData(domain, runTs);
-    const runDir = domainData.runDir;
-    const pageDir = path.join(runDir, pageName);
-    const logsDir = path.join(runDir, "logs");
+  // One browser per engine in use; the login script runs in the first (storage state is engine-agnostic)
+  const browsers = new Map();
+  for (const vp of viewports) {
+    if (!browsers.has(vp.browser)) browsers.set(vp.browser, await BROWSER_TYPES[vp.browser].launch());
+  }
+  const origins = Array.from(
+    new Set(
+      pending
+        .map(({ url }) => {
+          try {
+            return new URL(url).origin;
+          } catch {
+            return null;
+          }
+        })
+        .filter(Boolean)
+    )
+  );
+  const storageState = await prepareSessionState(browsers.values().next().value, origins);
+
+  // Shared per-viewport contexts; --record-har opens a short-lived one per page instead (see HAR section)
+  const session = { browsers, storageState, origins, contexts: new Map() };
+  if (!recordHarEnabled) {
+    for (const vp of viewports) session.contexts.set(vp.name, await newViewportContext(session, vp));
+  }
 
-    fs.mkdirSync(pageDir, { recursive: true });
-    fs.mkdirSync(logsDir, { recursive: true });
+  if (concurrency > 1) console.log(`Capturing ${pending.length} URLs with concurrency ${concurrency}`);
+  await runPool(pending, concurrency, ({ url, index }) => capturePage(session, url, index, runTs));
 
-    for (const vp of viewports) {
-      const page = await context.newPage();
-      await page.setViewportSize({ width: vp.width, height: vp.height });
+  for (const context of session.contexts.values()) await context.close();
+  for (const browser of browsers.values()) await browser.close();
 
-      const consoleErrors = [];
-      const requestFailures = [];
+  if (recordHarEnabled) {
+    for (const entry of pagesByDomain.values()) {
+      console.log(`✔ HAR archives saved → ${path.join(entry.runDir, HAR_DIR)}/`);
+    }
+  }
 
-      page.on("console", (msg) => {
-        if (msg.type() === "error") consoleErrors.push(msg.text());
-      });
+  if (linkCheckEnabled) {
+    for (const entry of pagesByDomain.values()) {
+      writeBrokenLinksCsv(entry.runDir, { pagesOverride: entry.pages, viewportsOverride: viewports });
+    }
+  }
 
-      page.on("requestfailed", (req) => {
-        requestFailures.push(`${req.method()} ${req.url()} :: ${req.failure()?.errorText || "failed"}`);
+  if (compareToArg) {
+    for (const entry of pagesByDomain.values()) {
+      await compareRunDirs(entry.runDir, compareToArg, {
+        pages: entry.pages,
+        thresholdPct: diffThresholdPct,
+        tolerance: diffTolerance,
       });
+    }
+  }
 
-      const logBase = `${pageName}__${vp.name}`;
-
-      try {
-        await page.goto(url, { waitUntil: "networkidle", timeout: 60000 });
-      } catch (e) {
-        consoleErrors.push(`NAV_FAIL: ${String(e)}`);
-      }
-
-      await tryDismissCookieBanners(page);
-
-      // Optional: if you know a page must contain something, wait for it
-      await waitForSelectorIfNeeded(page, waitForSelector, waitTimeoutMs);
-
-      await waitForFonts(page);
-
-      // Adaptive: quick stability, else sweep and proceed (no long waits)
-      let stability = await waitForStability(page, {
-        timeoutMs: fastStabilizeMs,
-        stableIterations: Math.max(3, Math.floor(stableIterations / 2)),
-        maxPendingImages,
+  if (pdfEnabled) {
+    for (const entry of pagesByDomain.values()) {
+      await buildPdfFromRunDir(entry.runDir, {
+        pdfName: pdfNameArg,
+        pagesOverride: entry.pages,
+        viewportsOverride: viewports,
       });
+    }
+  }
 
-      if (!stability.ok) {
-        if (sweepEnabled) await renderSweep(page, sweepSteps, sweepWaitMs);
-
-        // small settle after sweep (best effort)
-        stability = await waitForStability(page, {
-          timeoutMs: 2500,
-          stableIterations: 3,
-          maxPendingImages,
-        });
-      }
-
-      // Save final full-page screenshot only
-      await page.screenshot({
-        path: path.join(pageDir, `${vp.name}.png`),
-        fullPage: true,
+  if (htmlEnabled) {
+    for (const entry of pagesByDomain.values()) {
+      await buildHtmlFromRunDir(entry.runDir, {
+        htmlName: htmlNameArg,
+        pagesOverride: entry.pages,
+        viewportsOverride: viewports,
       });
-
-      // Write logs to /logs subfolder
-      if (consoleErrors.length) {
-        fs.writeFileSync(path.join(logsDir, `${logBase}__console-errors.txt`), consoleErrors.join("\n"), "utf8");
-      }
-
-      if (requestFailures.length) {
-        fs.writeFileSync(path.join(logsDir, `${logBase}__request-failures.txt`), requestFailures.join("\n"), "utf8");
-      }
-
-      fs.writeFileSync(
-        path.join(logsDir, `${logBase}__stability.json`),
-        JSON.stringify(
-          {
-            url,
-            domain,
-            pageName,
-            viewport: vp,
-            mode: mode || null,
-            runTs,
-            options: {
-              waitForSelector: waitForSelector || null,
-              waitTimeoutMs,
-              fastStabilizeMs,
-              stableIterations,
-              maxPendingImages,
-              sweepEnabled,
-              sweepSteps,
-              sweepWaitMs,
-              blockNoise,
-              sitemap: sitemapArgRaw || null,
-              include: include || null,
-              exclude: exclude || null,
-              limit: limit || 0,
-              sameHostOnly,
-            },
-            stability,
-            ts: new Date().toISOString(), 
-          },
-          null,
-          2
-        ),
-        "utf8"
-      );
-
-      await page.close();
     }
+  }
 
-    domainData.pages.push({
-      name: pageName,
-      url,
-      desktop: `${pageName}/desktop.png`,
-      mobile: `${pageName}/mobile.png`,
-    });
-
-    fs.writeFileSync(
-      path.join(runDir, "manifest.json"),
-      JSON.stringify({ domain, runTs: runTs, pages: domainData.pages }, null, 2),
-      "utf8"
-    );
-
-
-    console.log(`✔ Captured ${url} → runs/${domain}/${runTs}/${pageName}/`);
+  const reports = [];
+  for (const entry of pagesByDomain.values()) {
+    reports.push(buildReportFromRunDir(entry.runDir, { pagesOverride: entry.pages, viewportsOverride: viewports }));
   }
+  applyFailOn(reports);
+}
 
-  await browser.close();
+if (require.main === module) {
+  main().catch((e) => {
+    console.error("Fatal:", e);
+    process.exit(1);
+  });
+}
 
-  if (pdfEnabled) {
-    for (const entry of pagesByDomain.values()) {
-      await buildPdfFromRunDir(entry.runDir, { pdfName: pdfNameArg, pagesOverride: entry.pages });
-    }
-  }
-})().catch((e) => {
-  console.error("Fatal:", e);
-  process.exit(1);
-});
+// Pure helpers, exported for the tests in test/
+module.exports = {
+  compileUrlPattern,
+  parseCookies,
+  parseViewportSpec,
+  resolveViewports,
+  normalizeEmulation,
+  resolveVariants,
+  expandCaptureTargets,
+  parseElementShots,
+  parseClipRect,
+  parseRobots,
+  isAllowedByRobots,
+  normalizeCrawlUrl,
+  getPageName,
+  decodeXmlEntities,
+  parseSitemap,
+  isModifiedSince,
+  buildReportEntry,
+  renderJUnit,
+  diffImages,
+  pdfSafeText,
+  harFileName,
+  replayHarPath,
+};
@@ -0,0 +1,439 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { PDFDocument, StandardFonts } = require("pdf-lib");
+const sharp = require("sharp");
+
+const {
+  compileUrlPattern,
+  parseCookies,
+  parseViewportSpec,
+  resolveViewports,
+  normalizeEmulation,
+  resolveVariants,
+  expandCaptureTargets,
+  parseElementShots,
+  parseClipRect,
+  parseRobots,
+  isAllowedByRobots,
+  normalizeCrawlUrl,
+  getPageName,
+  decodeXmlEntities,
+  parseSitemap,
+  isModifiedSince,
+  buildReportEntry,
+  renderJUnit,
+  diffImages,
+  pdfSafeText,
+  harFileName,
+  replayHarPath,
+} = require("../shoot.js");
+
+test("compileUrlPattern: re:, globs, substrings and interaction /regex/flags", () => {
+  assert.ok(compileUrlPattern("re:CHECKOUT")("https://shop.test/checkout"));
+
+  const glob = compileUrlPattern("**/g/collect*");
+  assert.ok(glob("https://www.google-analytics.com/g/collect?v=2"));
+  assert.ok(!glob("https://www.google-analytics.com/g/x/collect"));
+
+  assert.ok(compileUrlPattern("hotjar.com")("https://static.hotjar.com/c/hotjar.js"));
+  assert.ok(!compileUrlPattern("hotjar.com")("https://example.com/"));
+
+  // Slash-wrapped paths are substrings, not regexes
+  assert.ok(compileUrlPattern("/api/")("https://shop.test/api/cart"));
+  assert.ok(!compileUrlPattern("/api/")("https://fonts.googleapis.com/css2?family=Inter"));
+  assert.ok(!compileUrlPattern("/products/i")("https://shop.test/PRODUCTS/"));
+
+  const literal = compileUrlPattern("/\\/cart\\/?$/i", { regexLiterals: true });
+  assert.ok(literal("https://shop.test/CART/"));
+  assert.ok(!literal("https://shop.test/cart/items"));
+  assert.ok(!compileUrlPattern("/products/", { regexLiterals: true })("https://shop.test/collections/all-products"));
+
+  // "g" is dropped so repeated tests don't depend on lastIndex
+  const global = compileUrlPattern("/cart/gi", { regexLiterals: true });
+  assert.ok(global("https://shop.test/cart"));
+  assert.ok(global("https://shop.test/cart"));
+
+  // Not a valid regex: falls back to a substring match
+  assert.ok(compileUrlPattern("/[beta/i", { regexLiterals: true })("https://shop.test/[beta/i"));
+});
+
+test("parseCookies: array or { cookies: [...] }", () => {
+  const cookies = [{ name: "consent", value: "1", domain: "example.com", path: "/" }];
+  assert.deepEqual(parseCookies(cookies), cookies);
+  assert.deepEqual(parseCookies({ cookies, origins: [] }), cookies);
+  assert.deepEqual(parseCookies(null), []);
+});
+
+test("parseViewportSpec: presets, name:WxH@DPR, devices and objects", () => {
+  assert.deepEqual(parseViewportSpec("Mobile"), { name: "mobile", width: 390, height: 844 });
+  assert.deepEqual(parseViewportSpec("tablet-wide:1180x820@2"), {
+    name: "tablet-wide",
+    width: 1180,
+    height: 820,
+    deviceScaleFactor: 2,
+  });
+
+  const device = parseViewportSpec("ipad:iPad Pro 11");
+  assert.equal(device.name, "ipad");
+  assert.equal(device.device, "iPad Pro 11");
+  assert.ok(device.isMobile);
+
+  assert.deepEqual(parseViewportSpec({ name: "Wide Screen", width: 1920, height: 1080 }), {
+    name: "wide-screen",
+    width: 1920,
+    height: 1080,
+  });
+
+  assert.throws(() => parseViewportSpec("1180x820"), /needs a name/);
+  assert.throws(() => parseViewportSpec("nope"), /Unknown viewport/);
+  assert.throws(() => parseViewportSpec({ name: "x", width: 100 }), /needs name, width and height/);
+});
+
+test("resolveViewports: defaults to desktop then mobile, rejects duplicates", () => {
+  assert.deepEqual(
+    resolveViewports(null).map((vp) => vp.name),
+    ["desktop", "mobile"]
+  );
+  assert.deepEqual(
+    resolveViewports("mobile,laptop,tv:1920x1080").map((vp) => vp.name),
+    ["mobile", "laptop", "tv"]
+  );
+  assert.throws(() => resolveViewports("desktop,desktop:1280x800"), /Duplicate viewport name: desktop/);
+});
+
+test("parseElementShots: ';'-separated entries, arrays and label objects", () => {
+  assert.deepEqual(parseElementShots("header=header; headings=h1, h2;footer"), [
+    { label: "header", selector: "header" },
+    { label: "headings", selector: "h1, h2" },
+    { label: "footer", selector: "footer" },
+  ]);
+  assert.deepEqual(parseElementShots(["nav=nav.main"]), [{ label: "nav", selector: "nav.main" }]);
+  assert.deepEqual(parseElementShots({ hero: ".hero" }), [{ label: "hero", selector: ".hero" }]);
+  assert.deepEqual(parseElementShots(null), []);
+});
+
+test("parseClipRect: x,y,width,height", () => {
+  assert.deepEqual(parseClipRect("0,10,1280,600"), { x: 0, y: 10, width: 1280, height: 600 });
+  assert.equal(parseClipRect(null), null);
+});
+
+test("parseRobots: picks our group over *, skips empty agents and empty Disallow", () => {
+  const robots = parseRobots(
+    [
+      "User-agent: *",
+      "Disallow: /private",
+      "",
+      "User-agent:",
+      "User-agent: ou-screenshot",
+      "Disallow: /drafts # not ready",
+      "Allow: /drafts/public",
+      "Disallow:",
+      "Sitemap: https://example.com/sitemap.xml",
+    ].join("\r\n")
+  );
+  assert.deepEqual(robots.sitemaps, ["https://example.com/sitemap.xml"]);
+  assert.deepEqual(robots.rules, [
+    { allow: false, path: "/drafts" },
+    { allow: true, path: "/drafts/public" },
+  ]);
+
+  // A group with only an empty user-agent doesn't match every crawler
+  assert.deepEqual(parseRobots("User-agent:\nDisallow: /").rules, []);
+});
+
+test("isAllowedByRobots: longest match wins, Allow wins ties, * and $ patterns", () => {
+  const robots = parseRobots(
+    ["User-agent: *", "Disallow: /shop", "Allow: /shop/sale", "Disallow: /*.pdf$", "Disallow: /a", "Allow: /a"].join(
+      "\n"
+    )
+  );
+  assert.ok(!isAllowedByRobots(robots, "https://example.com/shop/cart"));
+  assert.ok(isAllowedByRobots(robots, "https://example.com/shop/sale/shoes"));
+  assert.ok(!isAllowedByRobots(robots, "https://example.com/docs/terms.pdf"));
+  assert.ok(isAllowedByRobots(robots, "https://example.com/docs/terms.pdf?download=1"));
+  assert.ok(isAllowedByRobots(robots, "https://example.com/about"));
+  assert.ok(isAllowedByRobots(null, "https://example.com/shop"));
+});
+
+test("normalizeCrawlUrl: resolves, drops query/hash/trailing slash, ignores non-http", () => {
+  assert.equal(normalizeCrawlUrl("../about/?a=1#team", "https://example.com/en/news/"), "https://example.com/en/about");
+  assert.equal(normalizeCrawlUrl("/", "https://example.com/en"), "https://example.com/");
+  assert.equal(normalizeCrawlUrl("mailto:hi@example.com", "https://example.com/"), null);
+  assert.equal(normalizeCrawlUrl("http://[bad", "https://example.com/"), null);
+});
+
+test("pdfSafeText: replaces characters the standard fonts can't encode", async () => {
+  const pdfDoc = await PDFDocument.create();
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  assert.equal(pdfSafeText("Café – 10€", font), "Café – 10€");
+  assert.equal(pdfSafeText("東京 🚀 ok", font), "?? ? ok");
+  // The result can be measured/drawn without throwing
+  assert.ok(font.widthOfTextAtSize(pdfSafeText("日本語", font), 10) > 0);
+});
+
+test("harFileName / replayHarPath: HAR named after the recorded page", () => {
+  assert.equal(harFileName("home", "desktop"), "home__desktop.har");
+
+  const manifest = { pages: [{ url: "https://example.com/", name: "home" }] };
+  const runDir = path.join(path.sep, "runs", "example.com", "rec");
+  assert.equal(
+    replayHarPath("https://example.com/", "index", "mobile", manifest, runDir),
+    path.join(runDir, "har", "home__mobile.har")
+  );
+  // Pages missing from the recording keep the current run's name
+  assert.equal(
+    replayHarPath("https://example.com/new", "new", "mobile", manifest, runDir),
+    path.join(runDir, "har", "new__mobile.har")
+  );
+});
+
+test("decodeXmlEntities: named and numeric entities, &amp; last", () => {
+  assert.equal(decodeXmlEntities("a &lt;b&gt; &quot;c&quot; &apos;d&#39; &#233;&#xE9;"), "a <b> \"c\" 'd' éé");
+  assert.equal(decodeXmlEntities("?a=1&amp;b=2"), "?a=1&b=2");
+  // Not decoded twice
+  assert.equal(decodeXmlEntities("&amp;lt;"), "&lt;");
+});
+
+test("parseSitemap: urlset with lastmod, CDATA, prefixes and hreflang alternates", () => {
+  const { isIndex, entries } = parseSitemap(`<?xml version="1.0"?>
+    <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">
+      <url>
+        <loc>https://example.com/?a=1&amp;b=2</loc>
+        <lastmod>2025-06-02</lastmod>
+        <xhtml:link rel="alternate" hreflang="fr" href="https://example.com/fr/"/>
+      </url>
+      <url><loc><![CDATA[https://example.com/about]]></loc></url>
+      <url><lastmod>2025-01-01</lastmod></url>
+    </urlset>`);
+  assert.equal(isIndex, false);
+  assert.deepEqual(entries, [
+    {
+      loc: "https://example.com/?a=1&b=2",
+      lastmod: "2025-06-02",
+      alternates: [{ hreflang: "fr", href: "https://example.com/fr/" }],
+    },
+    { loc: "https://example.com/about", lastmod: null, alternates: [] },
+  ]);
+});
+
+test("parseSitemap: sitemap index", () => {
+  const { isIndex, entries } = parseSitemap(
+    "<sm:sitemapindex><sm:sitemap><sm:loc>https://example.com/posts.xml.gz</sm:loc></sm:sitemap></sm:sitemapindex>"
+  );
+  assert.equal(isIndex, true);
+  assert.deepEqual(
+    entries.map((e) => e.loc),
+    ["https://example.com/posts.xml.gz"]
+  );
+});
+
+test("isModifiedSince: keeps entries without a usable lastmod", () => {
+  const since = new Date("2025-06-01");
+  assert.ok(isModifiedSince("2025-06-01", since));
+  assert.ok(isModifiedSince("2025-07-15T10:00:00+02:00", since));
+  assert.ok(!isModifiedSince("2025-05-31", since));
+  assert.ok(isModifiedSince(null, since));
+  assert.ok(isModifiedSince("not a date", since));
+  assert.ok(isModifiedSince("2020-01-01", null));
+});
+
+test("getPageName: slug + stable hash of host/path, separate folders for look-alike URLs", () => {
+  const name = getPageName("https://www.example.com/Products/Blue-Shirt/");
+  assert.match(name, /^products-blue-shirt--[0-9a-f]{8}$/);
+  // www., letter case of the host and the trailing slash don't change the identity
+  assert.equal(getPageName("https://EXAMPLE.com/Products/Blue-Shirt"), name);
+
+  assert.notEqual(getPageName("https://example.com/a/b"), getPageName("https://example.com/a-b"));
+  assert.notEqual(getPageName("https://a.com/contact"), getPageName("https://b.com/contact"));
+  assert.match(getPageName("https://example.com/"), /^home--[0-9a-f]{8}$/);
+
+  const long = getPageName(`https://example.com/${"x".repeat(200)}`);
+  assert.ok(long.length <= 60 + 10);
+});
+
+test("getPageName: query strings and the old slug scheme", () => {
+  const a = getPageName("https://example.com/p?variant=1", { includeQuery: true });
+  const b = getPageName("https://example.com/p?variant=2", { includeQuery: true });
+  assert.notEqual(a, b);
+  assert.match(a, /^p-variant-1--/);
+  assert.equal(getPageName("https://example.com/p?variant=1"), getPageName("https://example.com/p?variant=2"));
+
+  assert.equal(getPageName("https://example.com/a/b/", { scheme: "slug" }), "a-b");
+  assert.equal(getPageName("https://example.com/", { scheme: "slug" }), "home");
+  assert.equal(getPageName("not a url"), "page");
+});
+
+test("buildReportEntry: checks from the stability JSON, manifest errors and diffs", (t) => {
+  const logsDir = fs.mkdtempSync(path.join(os.tmpdir(), "shoot-report-"));
+  t.after(() => fs.rmSync(logsDir, { recursive: true, force: true }));
+  fs.writeFileSync(
+    path.join(logsDir, "home__desktop__stability.json"),
+    JSON.stringify({
+      browser: { name: "chromium" },
+      navigation: { ok: true, status: 404 },
+      stability: { ok: false },
+      counts: { consoleErrors: 2, requestFailures: 0 },
+      links: { checked: 5, broken: [{ kind: "link" }] },
+      durationMs: 1234,
+    })
+  );
+  const pageInfo = {
+    name: "home",
+    errors: { mobile: "net::ERR_NAME_NOT_RESOLVED" },
+    diff: { desktop: { status: "fail", changedPct: 3.2 } },
+  };
+
+  const desktop = buildReportEntry(pageInfo, "desktop", logsDir);
+  assert.equal(desktop.browser, "chromium");
+  assert.equal(desktop.navigation, "ok");
+  assert.equal(desktop.brokenLinks, 1);
+  assert.deepEqual(desktop.diff, { status: "fail", changedPct: 3.2 });
+  assert.deepEqual(desktop.checks, ["http", "stability", "console-errors", "broken-links", "diff"]);
+
+  // No stability JSON (navigation never finished): only the manifest error is known
+  const mobile = buildReportEntry(pageInfo, "mobile", logsDir);
+  assert.equal(mobile.navigation, "failed");
+  assert.equal(mobile.stability, null);
+  assert.equal(mobile.error, "net::ERR_NAME_NOT_RESOLVED");
+  assert.deepEqual(mobile.checks, ["nav"]);
+});
+
+test("renderJUnit: one testcase per page/viewport, failures and escaping", () => {
+  const xml = renderJUnit({
+    domain: "example.com",
+    runTs: "2026-01-01T00-00-00-000Z",
+    summary: { tests: 2, failed: 1 },
+    pages: [
+      {
+        name: "home",
+        url: "https://example.com/?a=1&b=<2>",
+        viewports: [
+          { viewport: "desktop", httpStatus: 200, stability: "ok", checks: [], failures: [], durationMs: 1500 },
+          {
+            viewport: "mobile",
+            httpStatus: 503,
+            stability: "ok",
+            consoleErrors: 0,
+            checks: ["http"],
+            failures: ["http"],
+            durationMs: 250,
+          },
+        ],
+      },
+    ],
+  });
+
+  assert.match(
+    xml,
+    /^<\?xml version="1.0" encoding="UTF-8"\?>\n<testsuites name="shoot" tests="2" failures="1" time="1.750">/
+  );
+  assert.match(xml, /<testcase classname="example.com.home" name="desktop" time="1.500">/);
+  assert.match(xml, /<failure type="http" message="HTTP 503"\/>/);
+  assert.equal(xml.match(/<failure /g).length, 1);
+  assert.ok(xml.includes("url: https://example.com/?a=1&amp;b=&lt;2&gt;"));
+});
+
+test("diffImages: tolerance, size differences and the diff image", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "shoot-diff-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const solid = (file, width, height, r) =>
+    sharp({ create: { width, height, channels: 4, background: { r, g: 100, b: 100, alpha: 1 } } })
+      .png()
+      .toFile(path.join(dir, file));
+  await solid("base.png", 10, 10, 100);
+  await solid("near.png", 10, 10, 110);
+  await solid("tall.png", 10, 20, 100);
+
+  const near = await diffImages(path.join(dir, "base.png"), path.join(dir, "near.png"), path.join(dir, "a.png"));
+  assert.equal(near.changedPixels, 0);
+
+  const strict = await diffImages(path.join(dir, "base.png"), path.join(dir, "near.png"), path.join(dir, "b.png"), {
+    tolerance: 0,
+  });
+  assert.equal(strict.changedPct, 100);
+
+  // The extra rows of the taller shot count as changed and are painted red
+  const out = path.join(dir, "c.png");
+  const tall = await diffImages(path.join(dir, "base.png"), path.join(dir, "tall.png"), out);
+  assert.deepEqual([tall.width, tall.height, tall.changedPixels, tall.changedPct], [10, 20, 100, 50]);
+  assert.deepEqual(tall.baselineSize, { width: 10, height: 10 });
+  const { data } = await sharp(out).raw().toBuffer({ resolveWithObject: true });
+  assert.deepEqual([...data.subarray(data.length - 4)], [255, 0, 0, 255]);
+});
+
+test("expandCaptureTargets: one target per viewport and engine, chromium keeps the plain name", () => {
+  const targets = expandCaptureTargets(resolveViewports("mobile,desktop"), ["chromium", "webkit"], []);
+  assert.deepEqual(
+    targets.map((vp) => [vp.name, vp.baseName, vp.browser]),
+    [
+      ["mobile", "mobile", "chromium"],
+      ["mobile-webkit", "mobile", "webkit"],
+      ["desktop", "desktop", "chromium"],
+      ["desktop-webkit", "desktop", "webkit"],
+    ]
+  );
+
+  // Viewports read back from a manifest are already expanded
+  assert.equal(expandCaptureTargets(targets, ["chromium"], []), targets);
+
+  assert.throws(
+    () => expandCaptureTargets(resolveViewports("mobile,mobile-webkit:390x844"), ["chromium", "webkit"], []),
+    /Duplicate viewport name: mobile-webkit/
+  );
+});
+
+test("normalizeEmulation: flag-style and config-style values", () => {
+  assert.deepEqual(
+    normalizeEmulation(
+      {
+        "color-scheme": "dark",
+        "reduced-motion": true,
+        forcedColors: false,
+        locale: "de-DE",
+        timezoneId: "Europe/Berlin",
+        geolocation: "52.52,13.40",
+        media: "print",
+        throttle: "slow-3g",
+      },
+      "test"
+    ),
+    {
+      colorScheme: "dark",
+      reducedMotion: "reduce",
+      locale: "de-DE",
+      timezone: "Europe/Berlin",
+      geolocation: { latitude: 52.52, longitude: 13.4 },
+      media: "print",
+      throttle: { preset: "slow-3g", cpu: 4, downloadKbps: 400, uploadKbps: 400, latencyMs: 2000 },
+    }
+  );
+  assert.deepEqual(
+    normalizeEmulation({ geolocation: { latitude: 1, longitude: 2, accuracy: 10 }, throttle: { cpu: 2 } }, "test"),
+    { geolocation: { latitude: 1, longitude: 2, accuracy: 10 }, throttle: { cpu: 2 } }
+  );
+  assert.deepEqual(normalizeEmulation({ colorScheme: null, locale: undefined }, "test"), {});
+});
+
+test("expandCaptureTargets: a <viewport>-<variant> target per variant after each base target", () => {
+  const variants = resolveVariants({ dark: { colorScheme: "dark" }, "De Print": { locale: "de-DE", media: "print" } });
+  assert.deepEqual(
+    variants.map((v) => v.name),
+    ["dark", "de-print"]
+  );
+
+  const targets = expandCaptureTargets(resolveViewports("mobile"), ["chromium", "firefox"], variants);
+  assert.deepEqual(
+    targets.map((vp) => [vp.name, vp.variant ?? null, vp.emulation ?? null]),
+    [
+      ["mobile", null, null],
+      ["mobile-dark", "dark", { colorScheme: "dark" }],
+      ["mobile-de-print", "de-print", { locale: "de-DE", media: "print" }],
+      ["mobile-firefox", null, null],
+      ["mobile-firefox-dark", "dark", { colorScheme: "dark" }],
+      ["mobile-firefox-de-print", "de-print", { locale: "de-DE", media: "print" }],
+    ]
+  );
+});